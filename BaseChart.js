@@ -0,0 +1,523 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
+import { getLayoutConfig, resolveLength } from "./layout.js";
+import { CanvasDotLayer } from "./CanvasDotLayer.js";
+import { DataTable } from "./DataTable.js";
+import { getTooltip } from "./Tooltip.js";
+import { getLocale } from "./i18n.js";
+import { registerSteps, syncSteps } from "./scrolly.js";
+import {
+  announce,
+  describeSVG,
+  focusPoint,
+  isShown,
+  stepIndex,
+  toPlainText,
+} from "./a11y.js";
+
+/**
+ * BaseChart - Shared lifecycle for all scrollytelling charts
+ *
+ * Lifecycle:
+ * - constructor: measure() → init(), then watches the mount and the viewport
+ * - init(): loadData() → draw(), behind a loading skeleton; a failed or empty
+ *   load shows an inline message instead (with a retry button for failures)
+ * - draw(): setupScales() → createSVG() → setupElements()
+ * - layout pass (debounced, on a size change of the mount or the viewport):
+ *   if the width, the 768px breakpoint or the height (on mobile, by more
+ *   than the address bar showing or hiding) changed, measure() again, draw
+ *   the SVG from scratch and re-enter the step the reader is on; smaller
+ *   height changes on mobile keep the drawing, which the viewBox scales
+ *
+ * `ready` resolves with the chart once it is built. Step handlers go through
+ * this.registerSteps(), which holds back the latest step requested before
+ * then and applies it as soon as the chart is built.
+ *
+ * Sizing comes from layout.js: the width follows the editorial column and
+ * data-width, data-height and data-aspect on the mount override the chart's
+ * defaultSize().
+ *
+ * Subclasses implement:
+ * - defaultSize(): { width, height } used when the mount sets none
+ * - setDimensions(): derive margins etc. from this.width/height/isMobile
+ *   (runs before the subclass constructor body, so only use layout state here)
+ * - loadData(), setupScales(), setupElements(): data mapping and drawing;
+ *   setupElements() also resets the step state the marks start in, as it
+ *   runs again on every layout change
+ * - isEmpty(): true when the loaded data has nothing to draw
+ * - describe(): { title, description } read out for the SVG
+ * - tableData(): { columns, rows } for the data table shown instead of the
+ *   graphic by the toggle next to the title (see DataTable.js)
+ *
+ * Marks passed to enableKeyboardNav() become focusable and walkable with the
+ * arrow keys; every tooltip shown is also announced to screen readers.
+ *
+ * this.locale (i18n.js) has the strings and date/number formats for the
+ * language of the mount's closest lang attribute.
+ *
+ * Dense dot layers go through appendDots(), which draws SVG circles or, with
+ * data-renderer="canvas" on the mount, a CanvasDotLayer. Titles, axes,
+ * labels and legends that must stay above the dots go in this.overlay: the
+ * SVG itself, or with the canvas renderer a second SVG laid over the canvas.
+ */
+
+// Quiet time after the last size change before a layout pass
+const LAYOUT_DELAY = 150;
+
+// Height changes up to this (px) don't redraw on mobile, where browsers
+// resize the viewport, and with it every vh, as the address bar shows and
+// hides
+const HEIGHT_TOLERANCE = 120;
+
+export class BaseChart {
+  constructor(container) {
+    this.container = container;
+    this.built = false;
+    this.pendingStep = null;
+    this.enteredCard = null;
+    this.tableVisible = false;
+    this.ready = new Promise((resolve) => (this.resolveReady = resolve));
+    this.renderer = container.dataset.renderer === "canvas" ? "canvas" : "svg";
+    this.locale = getLocale(container);
+
+    this.measure();
+    this.setupTooltip();
+
+    this.init();
+    this.observeSize();
+  }
+
+  // Layout passes on size changes of the mount, and of the viewport for the
+  // heights derived from it (orientation changes included)
+  observeSize() {
+    let timeout = null;
+    const schedule = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => this.layout(), LAYOUT_DELAY);
+    };
+
+    new ResizeObserver(schedule).observe(this.container);
+    window.addEventListener("resize", schedule);
+  }
+
+  layout() {
+    const previous = this.measured;
+    const next = this.measureLayout();
+
+    // Nothing to redraw until init() has built the chart
+    if (!this.built) {
+      this.measure(next);
+      return;
+    }
+    if (needsRedraw(previous, next)) {
+      this.measure(next);
+      this.redraw();
+      return;
+    }
+
+    // Same drawing, but the SVG may sit elsewhere in a resized mount
+    this.isMobile = previous.isMobile;
+    this.placeOverlay();
+    this.dotLayers.forEach((layer) => layer.refresh());
+  }
+
+  // Size from layout.js for the current viewport, before setDimensions()
+  measureLayout() {
+    // defaultSize() reads the breakpoint
+    this.isMobile = window.innerWidth <= 768;
+    const layout = getLayoutConfig(this.container, this.defaultSize());
+
+    return {
+      isMobile: this.isMobile,
+      width: Math.floor(layout.width),
+      height: Math.floor(layout.height),
+      fixedWidth: layout.fixedWidth,
+      fixedHeight: layout.fixedHeight,
+    };
+  }
+
+  measure(measured = this.measureLayout()) {
+    this.measured = measured;
+    this.isMobile = measured.isMobile;
+    this.width = measured.width;
+    this.height = measured.height;
+
+    // CSS size of the SVG where a length fixes it (taken before
+    // setDimensions() may rescale the drawing), otherwise it fills the mount
+    this.box = {
+      width: measured.fixedWidth ? this.width : null,
+      height: measured.fixedHeight ? this.height : null,
+    };
+
+    this.setDimensions();
+  }
+
+  // Full column width, square up to 90% of the viewport height
+  defaultSize() {
+    return {
+      width: "full",
+      height: (width) => Math.min(width, resolveLength("90vh")),
+    };
+  }
+
+  setDimensions() {}
+
+  async init() {
+    this.setStatus("loading");
+
+    try {
+      await this.loadData();
+    } catch {
+      this.setStatus("error", this.locale.t("chart.loadError"));
+      return;
+    }
+
+    if (this.isEmpty()) {
+      this.setStatus("empty", this.locale.t("chart.empty"));
+      return;
+    }
+
+    this.setStatus(null);
+    this.draw();
+    this.setupDataTable();
+
+    // Apply the step requested while loading, if any
+    this.built = true;
+    this.pendingStep?.();
+    this.pendingStep = null;
+
+    this.resolveReady(this);
+  }
+
+  async loadData() {}
+
+  isEmpty() {
+    return false;
+  }
+
+  // Loading skeleton, or an inline message for the "error"/"empty" states
+  setStatus(state, message = "") {
+    this.status?.remove();
+    this.status = null;
+    if (!state) return;
+
+    this.status = d3
+      .select(this.container)
+      .append("div")
+      .attr("class", `chart-status chart-status--${state}`)
+      .attr("role", state === "loading" ? null : "status")
+      .attr("aria-busy", state === "loading" ? "true" : null);
+
+    if (state === "loading") {
+      this.status.append("div").attr("class", "chart-skeleton");
+      return;
+    }
+
+    this.status.append("p").text(message);
+
+    if (state === "error") {
+      this.status
+        .append("button")
+        .attr("type", "button")
+        .text(this.locale.t("chart.retry"))
+        .on("click", () => this.init());
+    }
+  }
+
+  draw() {
+    this.dotLayers = [];
+    this.setupScales();
+    this.createSVG();
+    this.setupElements();
+    this.placeOverlay();
+  }
+
+  // Draw again for new dimensions, then re-enter the step the reader is on
+  // (and replay the scroll progress of scrubbed transitions)
+  redraw() {
+    if (this.container.contains(this.tooltip.anchor)) this.tooltip.hide(true);
+    this.dotLayers.forEach((layer) => layer.remove());
+    this.svg.remove();
+    this.overlay.remove();
+
+    this.draw();
+    this.placeTableToggle();
+
+    this.enteredCard = null;
+    if (this.viz) syncSteps(this.viz);
+  }
+
+  // Register scrollytelling handlers. Before the chart is built only the
+  // latest entered step is kept; leave and progress updates are dropped, as
+  // main.js resyncs every chart with the page once it is ready.
+  registerSteps(viz, { enter, leave, progress }) {
+    this.viz = viz;
+    registerSteps(viz, {
+      enter:
+        enter &&
+        ((step, card) => {
+          if (!this.built) {
+            this.pendingStep = () => this.enterStepOnce(enter, step, card);
+            return;
+          }
+          this.enterStepOnce(enter, step, card);
+        }),
+      leave: leave && ((...args) => this.built && leave(...args)),
+      progress: progress && ((...args) => this.built && progress(...args)),
+    });
+  }
+
+  // Scroll-scrubbed transitions follow the scroll position alone, so they
+  // run the same way in both directions. Clamps the progress (0 to 1) and,
+  // when it changed, calls apply(t, between), where between(a, b) is the
+  // value (number or colour) from a to b at t
+  scrub(progress, apply) {
+    const t = Math.max(0, Math.min(1, progress));
+    if (t === this.transitionProgress) return;
+
+    this.transitionProgress = t;
+    apply(t, (a, b) => d3.interpolate(a, b)(t));
+  }
+
+  // A resync may enter the card that is already applied
+  enterStepOnce(enter, step, card) {
+    if (card === this.enteredCard) return;
+    this.enteredCard = card;
+    enter(step, card);
+  }
+
+  setupScales() {}
+
+  createSVG() {
+    // Use viewBox for proper scaling
+    this.svg = d3
+      .select(this.container)
+      .append("svg")
+      .attr("viewBox", `0 0 ${this.width} ${this.height}`)
+      .style("width", this.box.width ? `${this.box.width}px` : "100%")
+      .style("height", this.box.height ? `${this.box.height}px` : "100%")
+      // Narrower than the column: right-aligned, beside the scrolling text
+      .style("margin-left", this.box.width ? "auto" : null);
+
+    describeSVG(this.svg, this.describe());
+
+    this.overlay =
+      this.renderer === "canvas"
+        ? d3
+            .select(this.container)
+            .append("svg")
+            .attr("class", "chart-overlay")
+            .attr("viewBox", `0 0 ${this.width} ${this.height}`)
+        : this.svg;
+  }
+
+  // Lay the overlay SVG exactly over the chart's SVG, so both scale the
+  // viewBox the same way
+  placeOverlay() {
+    if (this.overlay === this.svg) return;
+
+    const host = this.container.getBoundingClientRect();
+    const box = this.svg.node().getBoundingClientRect();
+    this.overlay
+      .style("left", `${box.left - host.left}px`)
+      .style("top", `${box.top - host.top}px`)
+      .style("width", `${box.width}px`)
+      .style("height", `${box.height}px`);
+  }
+
+  describe() {
+    return { title: this.locale.t("chart.title") };
+  }
+
+  tableData() {
+    return null;
+  }
+
+  setupDataTable() {
+    const data = this.tableData();
+    if (!data) return;
+
+    this.dataTable = new DataTable(this.container, {
+      caption: this.describe().title,
+      ...data,
+    });
+
+    this.tableToggle = d3
+      .select(this.container)
+      .append("button")
+      .attr("type", "button")
+      .attr("class", "chart-table-toggle")
+      .attr("aria-pressed", "false")
+      .text(this.locale.t("chart.showTable"))
+      .on("click", () => this.showTable(!this.tableVisible));
+
+    this.placeTableToggle();
+  }
+
+  showTable(visible) {
+    this.tableVisible = visible;
+    this.dataTable.toggle(visible);
+    this.container.classList.toggle("is-table-view", visible);
+    this.tableToggle
+      .attr("aria-pressed", String(visible))
+      .text(this.locale.t(visible ? "chart.showChart" : "chart.showTable"));
+  }
+
+  // Keep the toggle just under the chart title, aligned with its anchor
+  placeTableToggle() {
+    if (!this.tableToggle) return;
+
+    const title = this.titleText?.node();
+    const host = this.container.getBoundingClientRect();
+    const box = title?.getBoundingClientRect();
+    if (!box || !box.width) {
+      this.tableToggle.style("top", "0px").style("right", "0px");
+      return;
+    }
+
+    const alignEnd = getComputedStyle(title).textAnchor === "end";
+    this.tableToggle
+      .style("top", `${box.bottom - host.top + 4}px`)
+      .style("left", alignEnd ? null : `${box.left - host.left}px`)
+      .style("right", alignEnd ? `${host.right - box.right}px` : null);
+  }
+
+  setupElements() {}
+
+  // One dot per datum, styled through the d3-selection API either way
+  appendDots(className, data) {
+    if (this.renderer === "canvas") {
+      const layer = new CanvasDotLayer(this.svg, data);
+      this.dotLayers.push(layer);
+
+      // The whole SVG anchors canvas tooltips, so a tap on another dot
+      // would not count as a tap outside: drop the pinned one first
+      layer.on("tap", () => this.tooltip.hide(true));
+      return layer;
+    }
+    return this.svg
+      .selectAll(`.${className}`)
+      .data(data)
+      .enter()
+      .append("circle")
+      .attr("class", className);
+  }
+
+  setupTooltip() {
+    this.tooltip = getTooltip();
+  }
+
+  showTooltip(event, content) {
+    this.tooltip.show(event, content);
+    announce(toPlainText(content));
+  }
+
+  hideTooltip() {
+    this.tooltip.hide();
+  }
+
+  // Roving focus through the marks, in `compare` order of their data.
+  // content(d, node) gives the tooltip HTML (defaults to tooltipContent).
+  enableKeyboardNav(marks, { compare, content } = {}) {
+    content = content || ((d) => this.tooltipContent(d));
+
+    if (marks instanceof CanvasDotLayer) {
+      this.enableCanvasKeyboardNav(marks, { compare, content });
+      return;
+    }
+
+    const nodes = marks
+      .nodes()
+      .sort((a, b) => compare(d3.select(a).datum(), d3.select(b).datum()));
+
+    marks
+      .classed("chart-mark", true)
+      .attr("tabindex", -1)
+      .attr("role", "img")
+      .attr("aria-label", function (d) {
+        return toPlainText(content(d, this));
+      });
+    nodes[0]?.setAttribute("tabindex", 0);
+
+    marks
+      .on("focus.a11y", (event, d) => {
+        const node = event.currentTarget;
+        const html = content(d, node);
+        // Tooltips can depend on the step, so refresh the label
+        node.setAttribute("aria-label", toPlainText(html));
+        this.showTooltip(focusPoint(node), html);
+      })
+      .on("blur.a11y", () => this.hideTooltip())
+      .on("keydown.a11y", (event) => {
+        const index = nodes.indexOf(event.currentTarget);
+        const next = stepIndex(event.key, index, nodes.length, (i) =>
+          isShown(nodes[i]),
+        );
+        if (next === null) return;
+
+        event.preventDefault();
+        nodes[index].setAttribute("tabindex", -1);
+        nodes[next].setAttribute("tabindex", 0);
+        nodes[next].focus();
+      });
+  }
+
+  // Canvas dots have no elements to focus: a single focusable SVG ring,
+  // on the overlay above the canvas, stands in for the current dot and
+  // moves with the arrow keys
+  enableCanvasKeyboardNav(layer, { compare, content }) {
+    const order = d3
+      .range(layer.data.length)
+      .sort((a, b) => compare(layer.data[a], layer.data[b]));
+    let current = 0;
+
+    const proxy = this.overlay
+      .append("circle")
+      .attr("class", "chart-mark focus-proxy")
+      .attr("tabindex", 0)
+      .attr("role", "img")
+      .attr("fill", "none");
+
+    const show = () => {
+      const i = order[current];
+      const dot = layer.dots[i];
+      const html = content(layer.data[i]);
+
+      proxy
+        .attr("cx", dot.cx)
+        .attr("cy", dot.cy)
+        .attr("r", dot.r + 2)
+        .attr("aria-label", toPlainText(html));
+      this.showTooltip(focusPoint(proxy.node()), html);
+    };
+
+    proxy
+      .on("focus", show)
+      .on("blur", () => this.hideTooltip())
+      .on("keydown", (event) => {
+        const next = stepIndex(
+          event.key,
+          current,
+          order.length,
+          (k) => layer.dots[order[k]].opacity > 0,
+        );
+        if (next === null) return;
+
+        event.preventDefault();
+        current = next;
+        show();
+      });
+  }
+}
+
+// A new width or breakpoint, or a new height (on mobile, beyond the
+// address bar's)
+function needsRedraw(previous, next) {
+  const tolerance = next.isMobile ? HEIGHT_TOLERANCE : 0;
+  return (
+    next.width !== previous.width ||
+    next.isMobile !== previous.isMobile ||
+    Math.abs(next.height - previous.height) > tolerance
+  );
+}
+
+export default BaseChart;
@@ -0,0 +1,324 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
+
+/**
+ * CanvasDotLayer - Canvas rendering backend for large dot layers
+ *
+ * Draws one dot per datum on a <canvas> laid over the chart's SVG, which
+ * keeps land and outlines; titles, axes, labels and legends go in the
+ * chart's overlay SVG above the canvas (BaseChart.overlay), so the dots
+ * never cover them. It answers the subset of the d3-selection API the charts
+ * use on their dots, so the same chart code drives either backend:
+ *
+ * - attr(name, value) / style(name, value): cx, cy, r, fill, stroke,
+ *   stroke-width and opacity, as a constant or a (d, i) accessor
+ * - transition(name).duration(ms).delay(ms).attr(...).style(...); a newer
+ *   transition takes over only the channels it sets, whatever its name
+ * - interrupt(name) stops the transitions of that name (all without one)
+ * - on("mouseover" | "mouseout", (event, d) => ...) through a quadtree hit
+ *   test, on pointer moves and on taps and clicks (pointerdown, which also
+ *   calls on("tap") first), and style("pointer-events", "none" | "auto") to
+ *   switch it off
+ * - refresh() to repaint after the SVG moved without the dots changing
+ * - remove()
+ *
+ * Coordinates are in the SVG's viewBox units; the canvas follows the SVG's
+ * screen transform, so viewBox scaling and letterboxing carry over.
+ */
+
+const CHANNELS = {
+  cx: 0,
+  cy: 0,
+  r: 2.5,
+  fill: "#000",
+  stroke: "none",
+  "stroke-width": 0,
+  opacity: 1,
+};
+
+export class CanvasDotLayer {
+  constructor(svg, data) {
+    this.svg = svg;
+    this.data = data;
+    this.dots = data.map(() => ({ ...CHANNELS }));
+
+    this.listeners = {};
+    this.interactive = true;
+    this.cursor = null;
+    this.hovered = null;
+    this.quadtree = null;
+
+    // Running transitions by channel, so a newer update takes over
+    this.tweens = new Map();
+    this.frame = null;
+
+    const node = svg.node();
+    this.canvas = d3
+      .select(node.parentNode)
+      .insert("canvas", () => node.nextSibling)
+      .attr("class", "dot-layer")
+      .attr("aria-hidden", "true")
+      .node();
+    this.context = this.canvas.getContext("2d");
+
+    // The canvas ignores the pointer; hit test on the SVG underneath. A tap
+    // fires no pointermove, so pointerdown hit tests too.
+    svg
+      .on("pointermove.dots", (event) => this.hitTest(event))
+      .on("pointerdown.dots", (event) => {
+        this.listeners.tap?.(event);
+        this.hitTest(event, true);
+      })
+      .on("pointerleave.dots", (event) => this.hover(event, null));
+  }
+
+  // Evaluate a constant or (d, i) accessor for every datum
+  values(value) {
+    return typeof value === "function"
+      ? this.data.map((d, i) => value(d, i))
+      : this.data.map(() => value);
+  }
+
+  set(name, value) {
+    if (name === "pointer-events") {
+      this.interactive = value !== "none";
+      if (!this.interactive) this.hover(null, null);
+      return;
+    }
+    if (name === "cursor") {
+      this.cursor = value;
+      return;
+    }
+    if (!(name in CHANNELS)) return;
+
+    // Setting a channel directly cancels any transition on it
+    this.tweens.delete(name);
+    this.values(value).forEach((v, i) => (this.dots[i][name] = v));
+    this.changed(name);
+  }
+
+  attr(name, value) {
+    this.set(name, value);
+    return this;
+  }
+
+  style(name, value) {
+    this.set(name, value);
+    return this;
+  }
+
+  on(type, listener) {
+    this.listeners[type] = listener;
+    return this;
+  }
+
+  transition(name = null) {
+    return new CanvasDotTransition(this, name);
+  }
+
+  interrupt(name) {
+    this.tweens.forEach((transition, channel) => {
+      if (name === undefined || transition.name === name) {
+        this.tweens.delete(channel);
+      }
+    });
+    return this;
+  }
+
+  // Take the canvas and its pointer handlers off the page
+  remove() {
+    this.interrupt();
+    if (this.frame !== null) cancelAnimationFrame(this.frame);
+    this.svg
+      .on("pointermove.dots", null)
+      .on("pointerdown.dots", null)
+      .on("pointerleave.dots", null);
+    this.canvas.remove();
+  }
+
+  // Repaint on the next frame, e.g. when the SVG's letterboxing changed
+  refresh() {
+    this.changed(null);
+  }
+
+  changed(name) {
+    if (name === "cx" || name === "cy" || name === "r" || name === "opacity") {
+      this.quadtree = null;
+    }
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => {
+        this.frame = null;
+        this.render();
+      });
+    }
+  }
+
+  render() {
+    const { canvas, context } = this;
+    const node = this.svg.node();
+    const ctm = node.getScreenCTM();
+    if (!ctm) return;
+
+    // Keep the backing store at device resolution
+    const box = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(box.width * dpr);
+    const height = Math.round(box.height * dpr);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    // Map viewBox units onto the canvas the same way the SVG does
+    context.setTransform(
+      ctm.a * dpr,
+      ctm.b * dpr,
+      ctm.c * dpr,
+      ctm.d * dpr,
+      (ctm.e - box.left) * dpr,
+      (ctm.f - box.top) * dpr,
+    );
+
+    this.dots.forEach((dot) => {
+      if (!(dot.opacity > 0) || isNaN(dot.cx) || isNaN(dot.cy)) return;
+
+      context.globalAlpha = dot.opacity;
+      context.beginPath();
+      context.arc(dot.cx, dot.cy, dot.r, 0, 2 * Math.PI);
+      context.fillStyle = dot.fill;
+      context.fill();
+
+      if (dot.stroke !== "none" && dot["stroke-width"] > 0) {
+        context.lineWidth = dot["stroke-width"];
+        context.strokeStyle = dot.stroke;
+        context.stroke();
+      }
+    });
+    context.globalAlpha = 1;
+  }
+
+  // `tap`: dispatch again even for the dot already hovered
+  hitTest(event, tap = false) {
+    if (!this.interactive) return;
+
+    if (!this.quadtree) {
+      this.quadtree = d3
+        .quadtree()
+        .x((i) => this.dots[i].cx)
+        .y((i) => this.dots[i].cy)
+        .addAll(
+          this.dots
+            .map((dot, i) => i)
+            .filter((i) => this.dots[i].opacity > 0),
+        );
+      this.maxRadius = d3.max(this.dots, (dot) => dot.r) || 0;
+    }
+
+    // Pointer position in viewBox units
+    const ctm = this.svg.node().getScreenCTM();
+    if (!ctm) return;
+    const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(
+      ctm.inverse(),
+    );
+
+    const i = this.quadtree.find(point.x, point.y, this.maxRadius + 1);
+    const hit =
+      i !== undefined &&
+      Math.hypot(this.dots[i].cx - point.x, this.dots[i].cy - point.y) <=
+        this.dots[i].r + 1;
+
+    this.hover(event, hit ? this.data[i] : null, tap);
+  }
+
+  hover(event, d, again = false) {
+    if (d === this.hovered && !again) return;
+
+    if (this.hovered !== null) {
+      this.listeners.mouseout?.(event, this.hovered);
+    }
+    this.hovered = d;
+    this.svg.style("cursor", d !== null ? this.cursor : null);
+    if (d !== null) this.listeners.mouseover?.(event, d);
+  }
+}
+
+// Timer-driven counterpart of a d3 transition on the layer
+class CanvasDotTransition {
+  constructor(layer, name) {
+    this.layer = layer;
+    this.name = name;
+    this.interpolators = {};
+    this.ms = 250;
+    this.wait = 0;
+    this.timer = null;
+    this.scheduled = false;
+  }
+
+  duration(ms) {
+    this.ms = ms;
+    return this;
+  }
+
+  delay(ms) {
+    this.wait = ms;
+    return this;
+  }
+
+  attr(name, value) {
+    const { layer } = this;
+    if (!(name in CHANNELS)) {
+      layer.set(name, value);
+      return this;
+    }
+
+    const targets = layer.values(value);
+    this.interpolators[name] = layer.dots.map((dot, i) =>
+      d3.interpolate(dot[name], targets[i]),
+    );
+    layer.tweens.set(name, this);
+    this.schedule();
+    return this;
+  }
+
+  // Start once the chain is built, as d3 does, so duration() and delay()
+  // apply wherever they come in it
+  schedule() {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    queueMicrotask(() => this.start());
+  }
+
+  style(name, value) {
+    return this.attr(name, value);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = d3.timer((elapsed) => {
+      const t = Math.min(1, elapsed / this.ms);
+      const eased = d3.easeCubic(t);
+
+      Object.entries(this.interpolators).forEach(([name, interpolators]) => {
+        // A newer update took over this channel
+        if (this.layer.tweens.get(name) !== this) return;
+
+        interpolators.forEach(
+          (interpolate, i) => (this.layer.dots[i][name] = interpolate(eased)),
+        );
+        this.layer.changed(name);
+      });
+
+      if (t === 1) {
+        this.timer.stop();
+        this.layer.tweens.forEach((transition, name) => {
+          if (transition === this) this.layer.tweens.delete(name);
+        });
+      }
+    }, this.wait);
+  }
+}
+
+export default CanvasDotLayer;
@@ -1,44 +1,26 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
 import * as topojson from "https://cdn.jsdelivr.net/npm/topojson-client@3/+esm";
-import { CONFIG } from "./config.js";
+import { dataUrls } from "./manifest.js";
+import { BaseChart } from "./BaseChart.js";
+import { html, rich } from "./template.js";
+import { Legend } from "./Legend.js";
 
-export class ChoroplethMap {
+export class ChoroplethMap extends BaseChart {
   constructor(container) {
-    this.isMobile = window.innerWidth <= 768;
-    this.container = container;
+    super(container);
 
-    // Get container dimensions - matching DotMapPlot pattern
-    const containerRect = container.getBoundingClientRect();
-    this.width = Math.floor(containerRect.width);
-    this.height = Math.min(this.width, window.innerHeight * 0.9);
-
-    this.currentView = "categorical";
-
-    this.init();
-
-    window.addEventListener("resize", () => {
-      const containerRect = this.container.getBoundingClientRect();
-      this.width = Math.floor(containerRect.width);
-      this.height = Math.min(this.width, window.innerHeight * 0.9);
-      this.resize();
+    // Cards declare the colouring (data-view="categorical" | "continuous")
+    this.registerSteps("choropleth", {
+      enter: (step, card) => this.enterStep(step, card.dataset.view),
     });
-
-    // check for mobile
-  }
-
-  async init() {
-    await this.loadData();
-    this.setupProjection();
-    this.setupColorScales();
-    this.createSVG();
-    this.setupElements();
   }
 
   async loadData() {
     try {
+      const urls = dataUrls("choropleth", this.container);
       const [ieepaSf, worldData] = await Promise.all([
-        d3.json(`${CONFIG.BASE_URL}/ieepa_sf.geojson`),
-        d3.json("https://unpkg.com/world-atlas@2/land-110m.json"),
+        d3.json(urls.tariffs),
+        d3.json(urls.land),
       ]);
 
       this.ieepaSf = ieepaSf;
@@ -53,6 +35,44 @@ export class ChoroplethMap {
     }
   }
 
+  isEmpty() {
+    return !this.ieepaSf.features.length;
+  }
+
+  describe() {
+    const { t } = this.locale;
+    return {
+      title: t("choropleth.title"),
+      description: t("choropleth.description"),
+    };
+  }
+
+  tableData() {
+    const { t, label, formatPercent } = this.locale;
+    return {
+      columns: [
+        { key: "country", label: t("columns.country") },
+        {
+          key: "cat",
+          label: t("columns.category"),
+          format: (v) => label("tariffCategory", v),
+        },
+        {
+          key: "rate",
+          label: t("columns.tariffRate"),
+          numeric: true,
+          format: formatPercent,
+        },
+      ],
+      rows: this.ieepaSf.features.map((d) => d.properties),
+    };
+  }
+
+  setupScales() {
+    this.setupProjection();
+    this.setupColorScales();
+  }
+
   setupProjection() {
     // Full width map, offset down to make room for legend at top
     this.projection = d3
@@ -92,17 +112,9 @@ export class ChoroplethMap {
       );
   }
 
-  createSVG() {
-    // Use viewBox for proper scaling (like DotMapPlot)
-    this.svg = d3
-      .select(this.container)
-      .append("svg")
-      .attr("viewBox", `0 0 ${this.width} ${this.height}`)
-      .style("width", "100%")
-      .style("height", "100%");
-  }
-
   setupElements() {
+    this.currentView = "categorical";
+
     this.land = this.svg
       .append("path")
       .datum(topojson.feature(this.worldData, this.worldData.objects.land))
@@ -124,11 +136,17 @@ export class ChoroplethMap {
       .attr("fill", (d) => this.categoricalScale(d.properties.cat))
       .attr("stroke", "#fff")
       .attr("stroke-width", 0.5)
-      .on("mouseover", (event, d) => this.showTooltip(event, d))
+      .on("mouseover", (event, d) =>
+        this.showTooltip(event, this.tooltipContent(d)),
+      )
       .on("mouseout", () => this.hideTooltip());
 
+    this.enableKeyboardNav(this.countries, {
+      compare: (a, b) =>
+        d3.ascending(a.properties.country, b.properties.country),
+    });
+
     this.setupLegends();
-    this.setupTooltip();
   }
 
   setupLegends() {
@@ -141,56 +159,31 @@ export class ChoroplethMap {
       .attr("x", this.width)
       .attr("y", this.isMobile ? legendY - 60 : legendY - 60)
       .attr("text-anchor", "end")
-      .text("Countries targeted by Trump tariffs");
+      .text(this.locale.t("choropleth.title"));
 
-    // Categorical legend - horizontal, below title
+    // Categorical legend - below the title, right-aligned, wrapping into
+    // more rows on narrow screens
     this.categoricalLegend = this.svg
       .append("g")
       .attr("class", "categorical-legend")
-      .attr(
-        "transform",
-        `translate(${this.isMobile ? this.width - 20 : this.width - 20}, ${this.isMobile ? legendY - 40 : legendY - 40})`,
-      )
+      .attr("transform", `translate(20, ${legendY - 40})`)
       .style("opacity", 1);
 
-    const catItems = [
-      { label: "Reciprocal", color: "#309ebe" },
-      { label: "Exempt", color: "#C6C6C6" },
-      { label: "Fentanyl crisis", color: "#df3144" },
-      {
-        label: "Reciprocal and limitations on 'free speech'",
-        color: "#1d3956",
-      },
-    ];
-
-    let xOffset = 0;
-    const itemSpacing = 15;
-
-    catItems
-      .slice()
-      .reverse()
-      .forEach((item) => {
-        const g = this.categoricalLegend
-          .append("g")
-          .attr("class", "cat-legend-item");
-        const textWidth = item.label.length * 6;
-        xOffset -= textWidth + 20 + itemSpacing;
-        g.attr("transform", `translate(${xOffset}, 0)`);
-        g.append("circle")
-          .attr("cx", 0)
-          .attr("cy", 4)
-          .attr("r", 5)
-          .attr("fill", item.color)
-          .attr("stroke", "#fff")
-          .attr("stroke-width", 1);
-        g.append("text")
-          .attr("x", this.isMobile ? -10 : 10)
-          .attr("y", 8)
-          .attr("text-anchor", this.isMobile ? "end" : "start")
-          .style("font-size", "14px")
-          .style("fill", "#333")
-          .text(item.label);
-      });
+    this.categoricalKey = new Legend(this.categoricalLegend, {
+      items: [
+        "Reciprocal",
+        "Exempt",
+        "Fentanyl crisis",
+        "Reciprocal and Limitations on 'free speech'",
+      ].map((category) => ({
+        label: this.locale.label("tariffCategory", category),
+        color: this.categoricalScale(category),
+        radius: 5,
+      })),
+      width: this.width - 40,
+      align: "end",
+      textColor: "#333",
+    });
 
     // Continuous legend (hidden initially)
     this.continuousLegend = this.svg
@@ -210,7 +203,7 @@ export class ChoroplethMap {
       .style("font-size", "14px")
       .style("font-weight", "700")
       .style("fill", "#333")
-      .text("Tariff rate (%)");
+      .text(this.locale.t("choropleth.rateLegend"));
 
     const defs = this.svg.append("defs");
     const gradient = defs
@@ -246,13 +239,14 @@ export class ChoroplethMap {
       this.ieepaSf.features,
       (d) => d.properties.rate,
     );
+    const { formatPercent } = this.locale;
     this.continuousLegend
       .append("text")
       .attr("x", 0)
       .attr("y", 38)
       .style("font-size", "12px")
       .style("fill", "#666")
-      .text(`${Math.round(rateExtent[0])}%`);
+      .text(formatPercent(Math.round(rateExtent[0])));
     this.continuousLegend
       .append("text")
       .attr("x", barW / 2)
@@ -260,7 +254,7 @@ export class ChoroplethMap {
       .attr("text-anchor", "middle")
       .style("font-size", "12px")
       .style("fill", "#666")
-      .text(`${Math.round((rateExtent[0] + rateExtent[1]) / 2)}%`);
+      .text(formatPercent(Math.round(d3.mean(rateExtent))));
     this.continuousLegend
       .append("text")
       .attr("x", barW)
@@ -268,75 +262,25 @@ export class ChoroplethMap {
       .attr("text-anchor", "end")
       .style("font-size", "12px")
       .style("fill", "#666")
-      .text(`${Math.round(rateExtent[1])}%`);
-
-    // Stack categorical legend vertically above map on mobile
-    if (this.isMobile) {
-      this.categoricalLegend.attr(
-        "transform",
-        `translate(${this.width}, ${legendY - 40})`,
-      );
-
-      this.categoricalLegend
-        .selectAll(".cat-legend-item")
-        .attr("transform", (_, i) => `translate(0, ${i * 18})`);
-    }
-  }
-
-  setupTooltip() {
-    this.tooltip = d3
-      .select("body")
-      .append("div")
-      .attr("class", "tooltip")
-      .style("position", "absolute")
-      .style("padding", "10px")
-      .style("background", "#fff")
-      .style("border", "1px solid #ccc")
-      .style("border-radius", "4px")
-      .style("pointer-events", "none")
-      .style("opacity", 0)
-      .style("z-index", 1000);
+      .text(formatPercent(Math.round(rateExtent[1])));
   }
 
-  showTooltip(event, d) {
+  tooltipContent(d) {
+    const { t, label, formatPercent } = this.locale;
     const props = d.properties;
-    let html = `<strong>${props.country}</strong><br/>Category: ${props.cat}<br/>Rate: ${props.rate}%<br/>`;
-    if (props.note) html += `<br/><em>${props.note}</em>`;
-    this.tooltip
-      .style("opacity", 1)
-      .html(html)
-      .style("left", event.pageX + 10 + "px")
-      .style("top", event.pageY - 10 + "px");
+    const category = label("tariffCategory", props.cat);
+    const rate = formatPercent(props.rate);
+    const note = props.note && html`<br/><em>${rich(props.note)}</em>`;
+    return html`<strong>${props.country}</strong><br/>${t("choropleth.category")} ${category}<br/>${t("choropleth.rate")} ${rate}<br/>${note}`;
   }
 
-  hideTooltip() {
-    this.tooltip.style("opacity", 0);
-  }
-
-  resize() {
-    this.isMobile = window.innerWidth <= 768;
-    this.svg.attr("viewBox", `0 0 ${this.width} ${this.height}`);
-    this.projection
-      .scale(this.width / 5)
-      .translate([this.width / 2, this.height / 2 + 40]);
-    this.land.attr("d", this.path);
-    this.countries.attr("d", this.path);
-    this.titleText.attr("x", this.width);
-    if (this.isMobile) {
-      this.categoricalLegend.attr(
-        "transform",
-        `translate(${this.width}, ${legendY - 40})`,
-      );
-    } else {
-      this.categoricalLegend.attr(
-        "transform",
-        `translate(${this.width - 20}, ${legendY - 40})`,
-      );
+  enterStep(step, view = "categorical") {
+    // Handle choropleth transitions
+    if (view === "continuous") {
+      this.toggleView(true, step);
+    } else if (this.currentView === "continuous") {
+      this.toggleView(false, step);
     }
-    this.continuousLegend.attr(
-      "transform",
-      `translate(${this.width - 250}, ${this.isMobile ? legendY - 50 : legendY - 30})`,
-    );
   }
 
   toggleView(isContinuous, step) {
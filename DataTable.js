@@ -0,0 +1,84 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
+
+/**
+ * DataTable - Sortable HTML table of the data behind a chart
+ *
+ * columns: [{ key, label, numeric?, format? }]; rows are plain objects.
+ * Clicking a header sorts by that column, clicking it again reverses the
+ * order; the sorted column carries aria-sort for screen readers.
+ */
+
+export class DataTable {
+  constructor(container, { caption, columns, rows }) {
+    this.columns = columns;
+    this.rows = rows;
+    this.sortKey = null;
+    this.sortOrder = "ascending";
+
+    this.root = d3
+      .select(container)
+      .append("div")
+      .attr("class", "chart-table")
+      .attr("hidden", true);
+
+    const table = this.root.append("table");
+    table.append("caption").text(caption);
+
+    this.headers = table
+      .append("thead")
+      .append("tr")
+      .selectAll("th")
+      .data(columns)
+      .enter()
+      .append("th")
+      .attr("scope", "col")
+      .classed("numeric", (c) => c.numeric);
+
+    this.headers
+      .append("button")
+      .attr("type", "button")
+      .text((c) => c.label)
+      .on("click", (event, c) => this.sortBy(c.key));
+
+    this.body = table.append("tbody");
+    this.render();
+  }
+
+  sortBy(key) {
+    this.sortOrder =
+      key === this.sortKey && this.sortOrder === "ascending"
+        ? "descending"
+        : "ascending";
+    this.sortKey = key;
+
+    const compare = d3[this.sortOrder];
+    this.rows = [...this.rows].sort((a, b) => compare(a[key], b[key]));
+    this.render();
+  }
+
+  render() {
+    this.headers.attr("aria-sort", (c) =>
+      c.key === this.sortKey ? this.sortOrder : null,
+    );
+
+    this.body
+      .selectAll("tr")
+      .data(this.rows)
+      .join("tr")
+      .selectAll("td")
+      .data((row) =>
+        this.columns.map((c) => ({ column: c, value: row[c.key] })),
+      )
+      .join("td")
+      .classed("numeric", (cell) => cell.column.numeric)
+      .text(({ column, value }) =>
+        value == null ? "" : column.format ? column.format(value) : value,
+      );
+  }
+
+  toggle(visible) {
+    this.root.attr("hidden", visible ? null : true);
+  }
+}
+
+export default DataTable;
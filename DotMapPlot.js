@@ -1,98 +1,102 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
 import * as topojson from "https://cdn.jsdelivr.net/npm/topojson-client@3/+esm";
-import { CONFIG } from "./config.js";
+import { dataUrls } from "./manifest.js";
+import { BaseChart } from "./BaseChart.js";
+import { html } from "./template.js";
+import { Legend } from "./Legend.js";
+import { BIN_SIZES, binSize, parseStrike, stackStrikes } from "./strikes.js";
 
-export class DotMapPlot {
-  constructor(container) {
-    this.container = container;
-    this.isMobile = window.innerWidth <= 768;
-    this.titleMode = null; // "dot" or "map"
+const DAYS_PER_MONTH = 365.25 / 12;
+const DAY = 24 * 60 * 60 * 1000;
 
-    // Get container dimensions, constrained to viewport
-    const containerRect = container.getBoundingClientRect();
-    this.width = Math.floor(containerRect.width);
-    this.height = Math.min(this.width, window.innerHeight * 0.9);
+// Resting opacity of the strikes on the map
+const MAP_OPACITY = 0.33;
 
-    // Dot plot dimensions (for the stacked week view)
-    this.dotWidth = this.width;
-    this.dotHeight = this.height * 0.75;
-    this.dotOffsetX = (this.width - this.dotWidth) / 2;
-    this.dotOffsetY = (this.height - this.dotHeight) / 2;
+// Dot radius on the map, and the largest and smallest on the dot plot,
+// where it shrinks to leave a gap in tall stacks
+const DOT_RADIUS = 2.5;
+const MIN_DOT_RADIUS = 0.75;
 
-    this.isMapView = false;
-    this.labelsVisible = false;
+// Time-lapse: the located strikes' date range plays in PLAYBACK_DURATION ms,
+// each strike fading to the resting opacity over FADE_DAYS
+const PLAYBACK_DURATION = 20000;
+const FADE_DAYS = 60;
 
-    // Scroll-bound animation state
-    this.scrollAnimationActive = false;
-    this.currentTransitionCard = null;
-    this.transitionDirection = null; // 'toMap' or 'toDotPlot'
-    this.rafId = null;
-
-    this.init();
-
-    window.addEventListener("resize", () => {
-      const containerRect = container.getBoundingClientRect();
-      this.width = Math.round(container.clientWidth);
-      this.height = Math.round(this.height * 0.8);
-      this.dotWidth = this.width;
-      this.dotHeight = this.height * 0.8;
-      this.dotOffsetX = (this.width - this.dotWidth) / 2;
-      this.dotOffsetY = (this.height - this.dotHeight) / 2;
-      this.resize();
+export class DotMapPlot extends BaseChart {
+  constructor(container) {
+    super(container);
+
+    this.registerSteps("dotmap", {
+      enter: (step, card) => this.enterStep(step, card),
+      progress: (step, progress) => this.scrubStep(step, progress),
+    });
+
+    this.ready.then(() => {
+      this.setupBinControl();
+      this.setupPlayback();
     });
   }
 
-  async init() {
-    await this.loadData();
-    this.setupProjection();
-    this.setupScales();
-    this.createSVG();
-    this.setupElements();
+  setDimensions() {
+    // Stack count axis on the left, with data-count-axis="true" on the mount
+    this.showCountAxis = this.container.dataset.countAxis === "true";
+    const axisWidth = this.showCountAxis ? 32 : 0;
+
+    // Dot plot dimensions (for the stacked week view), with more room below
+    // the date axis on mobile for the president legend's single column
+    this.dotWidth = this.width - axisWidth;
+    this.dotHeight = this.height * (this.isMobile ? 0.6 : 0.75);
+    this.dotOffsetX = axisWidth;
+    this.dotOffsetY = this.height * (this.isMobile ? 0.15 : 0.125);
   }
 
   async loadData() {
     try {
       // Load strikes data
-      const [csvData, geoData, geoAggregate, strikeCountries, worldData] =
+      const urls = dataUrls("dotmap", this.container);
+      const [csvData, geoAggregate, strikeCountries, worldData, stepConfig] =
         await Promise.all([
-          d3.csv(
-            "https://euissr.github.io/commentary_2026_02-GS-Trump-II/strikes_week_stack.csv",
-            (d) => ({
-              id: +d.id,
-              event_date: new Date(d.event_date),
-              year: +d.year,
-              President: d.President,
-              country: d.country,
-              latitude: +d.latitude,
-              longitude: +d.longitude,
-              week: d.week,
-              stack: +d.stack,
-            }),
-          ),
-          d3.json(`${CONFIG.BASE_URL}/strikes_week_stack_sf.geojson`),
-          d3.json(`${CONFIG.BASE_URL}/strikes_country.geojson`),
-          d3.json(`${CONFIG.BASE_URL}/strikes_countries.geojson`),
-          d3.json("https://unpkg.com/world-atlas@2/land-110m.json"),
+          d3.csv(urls.strikes, parseStrike),
+          d3.json(urls.countryTotals),
+          d3.json(urls.countryOutlines),
+          d3.json(urls.land),
+          d3.json(urls.steps),
         ]);
 
       this.csvData = csvData;
-      this.geoData = geoData;
       this.geoAggregate = geoAggregate;
       this.strikeCountries = strikeCountries;
       this.worldData = worldData;
+      this.stepConfig = stepConfig;
+
+      // Presidential terms, the last one open until the latest strike
+      this.terms = (stepConfig.terms || []).map((term) => ({
+        president: term.president,
+        start: new Date(term.start),
+        end: term.end ? new Date(term.end) : null,
+      }));
+
+      // Only the strikes of the mapped presidencies go on the map
+      const { mapPresidents = "all" } = stepConfig;
+      csvData.forEach((d) => {
+        if (mapPresidents !== "all" && !mapPresidents.includes(d.President)) {
+          d.coordinates = null;
+        }
+      });
 
-      // Get unique weeks for the dot plot x-axis
-      this.weeks = [...new Set(csvData.map((d) => d.week))].sort();
-
-      // Get max stack for y-axis
-      this.maxStack = d3.max(csvData, (d) => d.stack);
+      // Bin and stack the strikes for the dot plot (data-bin on the mount:
+      // "day", "week", "month" or "quarter"); the reader's choice then
+      // replaces it, and a card's data-bin applies while the card is active
+      this.selectedBin = binSize(this.container.dataset.bin);
+      this.binSize = this.selectedBin;
+      this.maxStack = stackStrikes(csvData, this.binSize);
 
       console.log("Data loaded:", {
         csvRows: csvData.length,
-        geoFeatures: geoData.features.length,
+        located: csvData.filter((d) => d.coordinates).length,
         geoAggregate: geoAggregate.features.length,
         strikeCountries: strikeCountries.features.length,
-        weeks: this.weeks.length,
+        bins: new Set(csvData.map((d) => +d.bin)).size,
         maxStack: this.maxStack,
       });
     } catch (error) {
@@ -101,6 +105,43 @@ export class DotMapPlot {
     }
   }
 
+  isEmpty() {
+    return !this.csvData.length;
+  }
+
+  describe() {
+    const { t } = this.locale;
+    return {
+      title: t("dotmap.title"),
+      description: t("dotmap.description"),
+    };
+  }
+
+  // Strikes per country and president
+  tableData() {
+    const counts = d3.rollups(
+      this.csvData,
+      (v) => v.length,
+      (d) => d.country,
+      (d) => d.President,
+    );
+    const { t } = this.locale;
+    return {
+      columns: [
+        { key: "country", label: t("columns.country") },
+        { key: "president", label: t("columns.president") },
+        { key: "strikes", label: t("columns.strikes"), numeric: true },
+      ],
+      rows: counts.flatMap(([country, byPresident]) =>
+        byPresident.map(([president, strikes]) => ({
+          country,
+          president,
+          strikes,
+        })),
+      ),
+    };
+  }
+
   setupProjection() {
     this.projection = d3
       .geoAzimuthalEqualArea()
@@ -113,17 +154,19 @@ export class DotMapPlot {
   }
 
   setupScales() {
+    this.setupProjection();
+
     // Dot plot scales
     this.xScale = d3
       .scaleTime()
-      .domain(d3.extent(this.csvData, (d) => d.event_date))
       .range([this.dotOffsetX, this.dotOffsetX + this.dotWidth]);
 
     this.yScale = d3
       .scaleLinear()
-      .domain([0, this.maxStack + 1])
       .range([this.dotOffsetY + this.dotHeight, this.dotOffsetY]);
 
+    this.setStackDomains();
+
     // Color scale by President
     const countries = [...new Set(this.csvData.map((d) => d.President))];
     this.colorScale = d3
@@ -132,16 +175,51 @@ export class DotMapPlot {
       .range(["#df3144", "#1d3956", "#df3144"]);
   }
 
-  createSVG() {
-    this.svg = d3
-      .select(this.container)
-      .append("svg")
-      .attr("viewBox", `0 0 ${this.width} ${this.height}`)
-      .style("width", "100%")
-      .style("height", "100%");
+  // From the first bin to the latest strike, and up to the highest stack
+  setStackDomains() {
+    this.xScale.domain([
+      d3.min(this.csvData, (d) => d.bin),
+      d3.max(this.csvData, (d) => d.event_date),
+    ]);
+    this.yScale.domain([0, this.maxStack + 1]);
+  }
+
+  // Cache each dot's position in both views: d.dotXY on the dot plot,
+  // d.mapXY on the map (null for strikes without a location). Recomputed
+  // only when the scales or the projection change.
+  updatePositions() {
+    this.csvData.forEach((d) => {
+      // Stacked in a column at the start of the strike's bin
+      d.dotXY = [this.xScale(d.bin), this.yScale(d.stack)];
+    });
+    this.dotRadius = this.stackRadius();
+    this.updateMapPositions();
+  }
+
+  // Radius on the dot plot from the height of a stack step (up to
+  // maxStack), so the tall month and quarter stacks don't merge into bars.
+  // Narrow day and week columns still overlap their neighbours.
+  stackRadius() {
+    const step = Math.abs(this.yScale(1) - this.yScale(0));
+    return Math.max(MIN_DOT_RADIUS, Math.min(DOT_RADIUS, step * 0.4));
+  }
+
+  updateMapPositions() {
+    this.csvData.forEach((d) => {
+      d.mapXY = d.coordinates && this.projection(d.coordinates);
+    });
   }
 
   setupElements() {
+    this.titleMode = null; // "dot" or "map"
+    this.isMapView = false;
+    this.labelsVisible = false;
+
+    // Position of the dots between dot plot (0) and map (1)
+    this.transitionProgress = 0;
+
+    this.updatePositions();
+
     // Setup axes (initially visible for dot plot)
     this.setupAxes();
 
@@ -150,36 +228,131 @@ export class DotMapPlot {
 
     // Setup data points
     this.setupDataPoints();
-
-    // Setup tooltip
-    this.setupTooltip();
+    this.enableKeyboardNav(this.dots, {
+      compare: (a, b) => a.event_date - b.event_date || a.stack - b.stack,
+    });
 
     // add aggregate labels
     this.setupCountryLabels();
 
+    // President colours and totals, starting all grey like the dots
+    this.setupLegend();
+    this.updateLegend({ presidents: [] });
+
     // Add title
-    this.titleText = this.svg
+    this.titleText = this.overlay
       .append("text")
       .attr("class", "viz-title")
       .attr("x", this.width)
-      .attr("y", this.isMobile ? 20 : 40) // Distance from top of screen
-      // Two-line title
-      .text(null)
-      .append("tspan")
-      .attr("x", this.width)
-      .attr("dy", 0)
-      .text("Timeline of US strikes worldwide,")
-      .append("tspan")
-      .attr("x", this.width)
-      .attr("dy", "1.2em")
-      .text("2017–25");
+      .attr("y", this.isMobile ? 20 : 40); // Distance from top of screen
+    this.setTitleLines(this.titleText, this.locale.t("dotmap.timelineTitle"));
+  }
+
+  // One tspan per line of a (translated) title
+  setTitleLines(title, text) {
+    title.text(null);
+    text.split("\n").forEach((line, i) => {
+      title
+        .append("tspan")
+        .attr("x", this.width)
+        .attr("dy", i === 0 ? 0 : "1.2em")
+        .text(line);
+    });
   }
 
+  // Presidency bands, date axis and the optional count axis, cross-faded
+  // with the map as one group
   setupAxes() {
-    this.axesGroup = this.svg.append("g").style("opacity", 1);
+    this.axesGroup = this.overlay.append("g").style("opacity", 1);
+    this.drawAxes();
+  }
 
-    // Y-axis (stack count)
-    const yAxis = d3.axisLeft(this.yScale).ticks(5);
+  drawAxes() {
+    const top = this.dotOffsetY;
+    const bottom = this.dotOffsetY + this.dotHeight;
+
+    this.setupTermBands(top, bottom);
+
+    this.xAxisGroup = this.axesGroup
+      .append("g")
+      .attr("class", "x-axis")
+      .attr("transform", `translate(0, ${bottom})`)
+      .call(
+        d3
+          .axisBottom(this.xScale)
+          .ticks(d3.timeYear.every(this.isMobile ? 2 : 1))
+          .tickFormat(this.locale.timeFormat("%Y")),
+      );
+
+    if (this.showCountAxis) {
+      this.yAxisGroup = this.axesGroup
+        .append("g")
+        .attr("class", "y-axis")
+        .attr("transform", `translate(${this.dotOffsetX}, 0)`)
+        .call(
+          d3.axisLeft(this.yScale).ticks(5).tickFormat(this.locale.format(",")),
+        );
+
+      this.yAxisGroup
+        .append("text")
+        .attr("class", "axis-title")
+        .attr("x", -this.dotOffsetX)
+        .attr("y", top - 12)
+        .attr("text-anchor", "start")
+        .style("font-size", "12px")
+        .style("fill", "#666")
+        .text(this.locale.t(`dotmap.countAxis.${this.binSize}`));
+    }
+
+    this.axesGroup.selectAll(".domain").remove();
+    this.axesGroup
+      .selectAll(".tick line")
+      .attr("stroke", "#999")
+      .attr("stroke-width", 1);
+    this.axesGroup
+      .selectAll(".tick text")
+      .style("font-size", "12px")
+      .style("fill", "#666");
+  }
+
+  // A shaded band per presidential term, labelled at the top
+  setupTermBands(top, bottom) {
+    const end = this.xScale.domain()[1];
+    const [left, right] = this.xScale.range();
+    const bands = this.terms
+      .map((term) => ({
+        ...term,
+        x0: Math.max(left, this.xScale(term.start)),
+        x1: Math.min(right, this.xScale(term.end ?? end)),
+      }))
+      .filter((term) => term.x1 > term.x0);
+
+    this.termBands = this.axesGroup
+      .append("g")
+      .attr("class", "term-bands")
+      .selectAll(".term-band")
+      .data(bands)
+      .join("g")
+      .attr("class", "term-band");
+
+    this.termBands
+      .append("rect")
+      .attr("x", (d) => d.x0)
+      .attr("y", top)
+      .attr("width", (d) => d.x1 - d.x0)
+      .attr("height", bottom - top)
+      .attr("fill", (d) => this.colorScale(d.president))
+      .attr("fill-opacity", 0.06);
+
+    this.termBands
+      .append("text")
+      .attr("x", (d) => (d.x0 + d.x1) / 2)
+      .attr("y", top + 16)
+      .attr("text-anchor", "middle")
+      .style("font-size", "12px")
+      .style("font-weight", "700")
+      .style("fill", (d) => this.colorScale(d.president))
+      .text((d) => d.president);
   }
 
   setupMap() {
@@ -215,155 +388,145 @@ export class DotMapPlot {
 
   setupDataPoints() {
     // Create dots from CSV data (for initial dot plot view)
-    this.dots = this.svg
-      .selectAll(".strike-dot")
-      .data(this.csvData)
-      .enter()
-      .append("circle")
-      .attr("class", "strike-dot")
-      .attr("r", 2.5)
-      .attr("cx", (d) => this.xScale(d.event_date))
-      .attr("cy", (d) => this.yScale(d.stack))
+    this.dots = this.appendDots("strike-dot", this.csvData)
+      .attr("r", this.dotRadius)
+      .attr("cx", (d) => d.dotXY[0])
+      .attr("cy", (d) => d.dotXY[1])
       .attr("fill", "#c6c6c6") // Start with all dots gray
       .attr("stroke", "#fff")
       .attr("stroke-width", 0.25)
       .style("opacity", 1)
-      .on("mouseover", (event, d) => this.showTooltip(event, d))
+      .on("mouseover", (event, d) =>
+        this.showTooltip(event, this.tooltipContent(d)),
+      )
       .on("mouseout", () => this.hideTooltip());
   }
 
-  setupTooltip() {
-    this.tooltip = d3
-      .select("body")
-      .append("div")
-      .attr("class", "tooltip")
-      .style("position", "absolute")
-      .style("padding", "10px")
-      .style("background", "#fff")
-      .style("border", "1px solid #ccc")
-      .style("border-radius", "4px")
-      .style("pointer-events", "none")
-      .style("opacity", 0)
-      .style("z-index", 1000);
+  setupLegend() {
+    // Below the date axis
+    const presidents = this.colorScale.domain();
+    const y = this.dotOffsetY + this.dotHeight + 32;
+    const legendGroup = this.overlay
+      .append("g")
+      .attr("class", "president-legend")
+      .attr("transform", `translate(${this.dotOffsetX}, ${y})`);
+
+    this.legendKey = new Legend(legendGroup, {
+      items: presidents.map((president) => ({
+        label: president,
+        color: this.colorScale(president),
+      })),
+      width: this.dotWidth,
+      labelWidth: 320,
+      fontSize: 12,
+    });
   }
 
-  showTooltip(event, d) {
-    const date = new Date(d.event_date);
-    const formattedDate = d3.timeFormat("%B %d, %Y")(date);
+  // Colour the presidents the step highlights, with their strikes in the
+  // step's countries, in total and per month in office. While the map is
+  // shown only the strikes on it count, and presidents left off it are
+  // dimmed without figures. Without a config, the last one applies again.
+  updateLegend(config = this.legendConfig) {
+    this.legendConfig = config;
+    const { presidents = "all", countries = "all" } = config;
+    const { mapPresidents = "all" } = this.stepConfig;
+    const { t, format, formatNumber } = this.locale;
+    const formatRate = format(",.1f");
+    const onMap = this.isMapView;
+
+    const counts = d3.rollup(
+      this.csvData.filter(
+        (d) =>
+          (countries === "all" || countries.includes(d.country)) &&
+          (!onMap || d.coordinates),
+      ),
+      (v) => v.length,
+      (d) => d.President,
+    );
+    const latest = d3.max(this.csvData, (d) => d.event_date);
+
+    const changes = this.colorScale.domain().map((president, i) => {
+      const count = counts.get(president) ?? 0;
+      const term = this.terms.find((term) => term.president === president);
+      const months = term
+        ? ((term.end ?? latest) - term.start) / DAY / DAYS_PER_MONTH
+        : NaN;
+      const mapped =
+        !onMap || mapPresidents === "all" || mapPresidents.includes(president);
+      const shown =
+        mapped && (presidents === "all" || presidents.includes(president));
+
+      this.legendKey
+        .item(i)
+        .transition()
+        .duration(1000)
+        .style("opacity", shown ? 1 : 0.6);
+
+      return {
+        label: mapped
+          ? t("dotmap.legendItem", {
+              president,
+              count: formatNumber(count),
+              rate: months > 0 ? formatRate(count / months) : "–",
+            })
+          : president,
+        color: shown ? this.colorScale(president) : "#c6c6c6",
+      };
+    });
 
-    this.tooltip
-      .style("opacity", 1)
-      .html(
-        `
-        <strong>${d.country}</strong><br/>
-        Date: ${formattedDate}<br/>
-        President: ${d.President}
-      `,
-      )
-      .style("left", event.pageX + 10 + "px")
-      .style("top", event.pageY - 10 + "px");
+    this.legendKey.update(changes);
   }
 
-  hideTooltip() {
-    this.tooltip.style("opacity", 0);
+  tooltipContent(d) {
+    const { t, formatDate } = this.locale;
+    return html`
+        <strong>${d.country}</strong><br/>
+        ${t("dotmap.date")} ${formatDate(d.event_date)}<br/>
+        ${t("dotmap.president")} ${d.President}
+      `;
   }
 
   setupCountryLabels() {
-    this.countryLabels = this.svg
+    this.countryLabels = this.overlay
       .append("g")
       .attr("class", "country-labels")
       .style("opacity", 0);
   }
 
-  updateColors(step) {
-    this.dots
-      .transition()
-      .duration(1000)
-      .attr("fill", (d) => {
-        if (step === 0) {
-          // Step 0: All gray
-          return "#c6c6c6";
-        } else if (step === 1) {
-          // Step 1: Biden blue, others gray
-          return d.President === "Biden" ? "#1d3956" : "#c6c6c6";
-        } else if (step === 2) {
-          // Step 2: Trump I red, others gray
-          return d.President === "Trump I" ? "#df3144" : "#c6c6c6";
-        } else if (step === 3) {
-          // Step 3: Trump II red, others gray
-          return d.President === "Trump II" ? "#df3144" : "#c6c6c6";
-        } else if (step === 4 || step === 5) {
-          // Steps 4-5: All dots colored by president (for map view)
-          return this.colorScale(d.President);
-        } else if (step === 6) {
-          // Step 6+: Yemen/Somalia only
-          if (d.country === "Yemen" || d.country === "Somalia") {
-            return this.colorScale(d.President);
-          } else {
-            return "#c6c6c6";
-          }
-        } else if (step === 7) {
-          // Step 7: Iran only
-          if (d.country === "Iran") {
-            return this.colorScale(d.President);
-          } else {
-            return "#c6c6c6";
-          }
-        } else if (step === 8) {
-          // Step 8: Nigeria only
-          if (d.country === "Nigeria") {
-            return this.colorScale(d.President);
-          } else {
-            return "#c6c6c6";
-          }
-        } else if (step === 9) {
-          // Step 9: Venezuela only
-          if (
-            d.country === "Venezuela" ||
-            d.country === "Caribbean" ||
-            d.country === "Eastern Pacific"
-          ) {
-            return this.colorScale(d.President);
-          } else {
-            return "#c6c6c6";
-          }
-        }
-      });
+  // Step behaviour is scripted in strikes_steps.json:
+  // - view: "dot", "transition" (scroll-scrubbed) or "map"
+  // - presidents / countries: dots to colour by president ("all" if omitted)
+  // - labels: aggregate country labels to show ("all" or a list)
+  // The file also lists the presidential terms shaded on the dot plot and,
+  // as mapPresidents, the presidencies whose strikes go on the map.
+  getStepConfig(step) {
+    return this.stepConfig.steps[step] || { view: "dot" };
   }
 
-  updateStep(step) {
-    // Update title
-    this.updateTitle(step);
+  isHighlighted(d, config) {
+    const { presidents = "all", countries = "all" } = config;
+    return (
+      (presidents === "all" || presidents.includes(d.President)) &&
+      (countries === "all" || countries.includes(d.country))
+    );
+  }
 
-    // Update colors first
-    this.updateColors(step);
+  updateColors(step) {
+    const config = this.getStepConfig(step);
+    this.updateLegend(config);
 
-    // Handle view transitions
-    if (step >= 4) {
-      // Steps 4+: Map view
-      if (!this.isMapView) {
-        this.toggleView(true, step);
-      } else {
-        // Already in map view, just update labels if needed
-        if (step === 5) {
-          this.showCountryLabels(step);
-        } else if (step >= 6) {
-          // Redraw labels with filter for Yemen/Somalia
-          this.showCountryLabels(step);
-        } else if (step < 5 && this.labelsVisible) {
-          this.hideCountryLabels();
-        }
-      }
-    } else {
-      // Steps 0-3: Dot plot view
-      if (this.isMapView) {
-        this.toggleView(false, step);
-      }
-    }
+    this.dots
+      .transition()
+      .duration(1000)
+      .attr("fill", (d) =>
+        this.isHighlighted(d, config)
+          ? this.colorScale(d.President)
+          : "#c6c6c6",
+      );
   }
 
   updateTitle(step) {
-    const mode = step >= 4 ? "map" : "dot";
+    const mode = this.getStepConfig(step).view === "dot" ? "dot" : "map";
     if (mode === this.titleMode) return; // 👈 key line
 
     this.titleMode = mode;
@@ -373,54 +536,21 @@ export class DotMapPlot {
     );
     if (title.empty()) return;
 
-    title.text("");
-
-    if (mode === "map") {
-      title.append("tspan").attr("x", this.width).text("US strikes in 2025");
-    } else {
-      title
-        .append("tspan")
-        .attr("x", this.width)
-        .text("Timeline of US strikes worldwide,");
-      title
-        .append("tspan")
-        .attr("x", this.width)
-        .attr("dy", "1.2em")
-        .text("2017–25");
-    }
+    const key = mode === "map" ? "dotmap.mapTitle" : "dotmap.timelineTitle";
+    this.setTitleLines(title, this.locale.t(key));
   }
 
   showCountryLabels(step) {
     this.countryLabels.selectAll("*").remove();
 
     // Filter data based on step
-    let labelData = this.geoAggregate.features;
-    if (step === 6) {
-      // Only show Yemen and Somalia labels
-      labelData = this.geoAggregate.features.filter(
-        (d) =>
-          d.properties.country === "Yemen" ||
-          d.properties.country === "Somalia",
-      );
-    } else if (step === 7) {
-      // Only show Iran labels
-      labelData = this.geoAggregate.features.filter(
-        (d) => d.properties.country === "Iran",
-      );
-    } else if (step === 8) {
-      // Only show Nigeria labels
-      labelData = this.geoAggregate.features.filter(
-        (d) => d.properties.country === "Nigeria",
-      );
-    } else if (step === 9) {
-      // Only show Venezuela labels
-      labelData = this.geoAggregate.features.filter(
-        (d) =>
-          d.properties.country === "Caribbean" ||
-          d.properties.country === "Venezuela" ||
-          d.properties.country === "Eastern Pacific",
-      );
-    }
+    const { labels = [] } = this.getStepConfig(step);
+    const labelData =
+      labels === "all"
+        ? this.geoAggregate.features
+        : this.geoAggregate.features.filter((d) =>
+            labels.includes(d.properties.country),
+          );
 
     this.countryLabels
       .selectAll(".country-label")
@@ -430,23 +560,18 @@ export class DotMapPlot {
       .attr("class", "country-label")
       .attr("x", (d) => {
         const baseX = this.projection(d.geometry.coordinates)[0];
-        if (d.properties.country === "Somalia") return baseX - 40;
-        if (d.properties.country === "Venezuela") return baseX + 40;
-        if (d.properties.country === "Caribbean") return baseX + 40;
-        return baseX;
+        return baseX + this.getLabelOffset(d.properties.country)[0];
       })
       .attr("y", (d) => {
         const baseY = this.projection(d.geometry.coordinates)[1];
-        if (d.properties.country === "Somalia") return baseY;
-        if (d.properties.country === "Venezuela") return baseY;
-        if (d.properties.country === "Caribbean") return baseY - 20;
-        return baseY - 30;
+        return baseY + this.getLabelOffset(d.properties.country)[1];
       })
       .attr("text-anchor", "middle")
       .style("font-size", "14px")
       .style("opacity", 0)
-      .each(function (d) {
-        const text = d3.select(this);
+      .each((d, i, nodes) => {
+        const { t, formatNumber } = this.locale;
+        const text = d3.select(nodes[i]);
         text
           .append("tspan")
           .attr("x", text.attr("x"))
@@ -467,7 +592,7 @@ export class DotMapPlot {
           .style("stroke", "#fff")
           .style("stroke-width", "3")
           .style("paint-order", "stroke")
-          .text(`${d.properties.n} strikes`);
+          .text(t("dotmap.strikes", { count: formatNumber(d.properties.n) }));
       })
       .transition()
       .delay(250)
@@ -483,309 +608,290 @@ export class DotMapPlot {
     this.labelsVisible = true;
   }
 
+  // Pixel nudge [dx, dy] of a country label from its projected centroid
+  getLabelOffset(country) {
+    const offsets = this.stepConfig.labelOffsets || {};
+    return offsets[country] || offsets.default || [0, 0];
+  }
+
   hideCountryLabels() {
     this.countryLabels.transition().duration(500).style("opacity", 0);
     this.labelsVisible = false;
   }
 
-  // Scroll-based transition with progress value (0-1)
-  setTransitionProgress(toMap, progress) {
-    // Clamp progress between 0 and 1
-    progress = Math.max(0, Math.min(1, progress));
+  // Scroll-scrubbed transition (0 = dot plot, 1 = map)
+  setTransitionProgress(progress) {
+    this.scrub(progress, (t, between) => {
+      // The scrub places the dots from here, over any re-stacking under way
+      this.dots.interrupt("bin");
+
+      // The legend switches to the map's totals with the marks, halfway
+      const isMapView = t > 0.5;
+      if (isMapView !== this.isMapView) {
+        this.isMapView = isMapView;
+        this.updateLegend();
+      }
+      this.updateBinControl();
 
-    if (toMap) {
-      // Interpolate from dot plot to map view
-      this.dots
-        .attr("cx", (d) => {
-          const startX = this.xScale(d.event_date);
-          const geoFeature = this.geoData.features.find(
-            (f) => f.properties.id === d.id,
-          );
-          if (geoFeature) {
-            const endX = this.projection(geoFeature.geometry.coordinates)[0];
-            return d3.interpolate(startX, endX)(progress);
-          }
-          return startX;
-        })
-        .attr("cy", (d) => {
-          const startY = this.yScale(d.stack);
-          const geoFeature = this.geoData.features.find(
-            (f) => f.properties.id === d.id,
-          );
-          if (geoFeature) {
-            const endY = this.projection(geoFeature.geometry.coordinates)[1];
-            return d3.interpolate(startY, endY)(progress);
-          }
-          return startY;
-        })
-        .attr("r", 2.5)
-        .attr("stroke-width", 0)
-        .style("opacity", (d) => {
-          const geoFeature = this.geoData.features.find(
-            (f) => f.properties.id === d.id,
-          );
-          if (geoFeature) {
-            return d3.interpolate(1, 0.33)(progress);
-          }
-          return d3.interpolate(1, 0)(progress);
-        });
-
-      // Fade out axes, fade in map
-      this.axesGroup.style("opacity", 1 - progress);
-      this.mapGroup.style("opacity", progress);
-    } else {
-      // Interpolate from map to dot plot view
       this.dots
-        .attr("cx", (d) => {
-          const geoFeature = this.geoData.features.find(
-            (f) => f.properties.id === d.id,
-          );
-          const endX = this.xScale(d.event_date);
-          if (geoFeature) {
-            const startX = this.projection(geoFeature.geometry.coordinates)[0];
-            return d3.interpolate(startX, endX)(progress);
-          }
-          return endX;
-        })
-        .attr("cy", (d) => {
-          const geoFeature = this.geoData.features.find(
-            (f) => f.properties.id === d.id,
-          );
-          const endY = this.yScale(d.stack);
-          if (geoFeature) {
-            const startY = this.projection(geoFeature.geometry.coordinates)[1];
-            return d3.interpolate(startY, endY)(progress);
-          }
-          return endY;
-        })
-        .attr("r", 2.5)
-        .style("opacity", (d) => {
-          const geoFeature = this.geoData.features.find(
-            (f) => f.properties.id === d.id,
-          );
-          if (geoFeature) {
-            return d3.interpolate(0.33, 1)(progress);
-          }
-          return d3.interpolate(0, 1)(progress);
-        });
-
-      // Fade in axes, fade out map
-      this.axesGroup.style("opacity", progress);
-      this.mapGroup.style("opacity", 1 - progress);
-    }
+        .attr("cx", (d) =>
+          d.mapXY ? between(d.dotXY[0], d.mapXY[0]) : d.dotXY[0],
+        )
+        .attr("cy", (d) =>
+          d.mapXY ? between(d.dotXY[1], d.mapXY[1]) : d.dotXY[1],
+        )
+        .attr("r", (d) =>
+          d.mapXY ? between(this.dotRadius, DOT_RADIUS) : this.dotRadius,
+        )
+        .attr("stroke-width", between(0.25, 0))
+        // Strikes without a location fade out on the map
+        .style("opacity", (d) => between(1, d.mapXY ? MAP_OPACITY : 0));
+
+      // Cross-fade axes and map
+      this.axesGroup.style("opacity", 1 - t);
+      this.mapGroup.style("opacity", t);
+
+      this.updatePlayback();
+    });
   }
 
-  // Calculate scroll progress for a card (0 = entering viewport, 1 = leaving viewport)
-  calculateScrollProgress(card) {
-    const rect = card.getBoundingClientRect();
-    const viewportHeight = window.innerHeight;
+  enterStep(step, card) {
+    const { view, labels } = this.getStepConfig(step);
 
-    const cardTop = rect.top;
+    // Update title
+    this.updateTitle(step);
+    this.updateColors(step);
+    this.setBin(card?.dataset.bin || this.selectedBin);
 
-    // Start transition when card is 80vh from top, complete when it reaches 20vh from top
-    const startY = viewportHeight * 0.8;
-    const endY = viewportHeight * 0.2;
+    if (view === "dot") {
+      // Hide labels if coming back from map view
+      if (this.labelsVisible) {
+        this.hideCountryLabels();
+      }
 
-    let progress = (startY - cardTop) / (startY - endY);
+      // Ensure we're in dot plot view (no-op if already there)
+      this.setTransitionProgress(0);
+    } else if (view === "transition") {
+      // The transition card - scrubbed from dot plot to map by scrubStep()
+      if (this.labelsVisible) {
+        this.hideCountryLabels();
+      }
+    } else {
+      // Ensure we're in map view (no-op if already there)
+      this.setTransitionProgress(1);
 
-    // Clamp between 0 and 1
-    return Math.max(0, Math.min(1, progress));
+      if (labels) {
+        this.showCountryLabels(step);
+      } else if (this.labelsVisible) {
+        this.hideCountryLabels();
+      }
+    }
   }
 
-  // Update animation based on current scroll position
-  updateScrollAnimation() {
-    if (!this.scrollAnimationActive || !this.currentTransitionCard) {
-      return;
-    }
+  // Re-stack the dot plot by day, week, month or quarter. The dots move to
+  // their new stacks in a named transition, so a colour change under way
+  // carries on.
+  setBin(size) {
+    size = binSize(size);
+    if (size === this.binSize) return;
 
-    const progress = this.calculateScrollProgress(this.currentTransitionCard);
+    this.binSize = size;
+    this.maxStack = stackStrikes(this.csvData, size);
+    this.setStackDomains();
+    this.updatePositions();
 
-    if (this.transitionDirection === "toMap") {
-      this.setTransitionProgress(true, progress);
-    } else if (this.transitionDirection === "toDotPlot") {
-      this.setTransitionProgress(false, progress);
-    }
+    this.axesGroup.selectAll("*").remove();
+    this.drawAxes();
+    this.updateBinControl();
 
-    // Continue animating
-    this.rafId = requestAnimationFrame(() => this.updateScrollAnimation());
+    if (this.transitionProgress === 0) {
+      this.dots
+        .transition("bin")
+        .duration(1000)
+        .attr("cx", (d) => d.dotXY[0])
+        .attr("cy", (d) => d.dotXY[1])
+        .attr("r", this.dotRadius);
+    } else if (this.transitionProgress < 1) {
+      // Mid-scrub: place the dots for the new stacks straight away
+      const progress = this.transitionProgress;
+      this.transitionProgress = null;
+      this.setTransitionProgress(progress);
+    }
   }
 
-  // Start scroll-bound animation
-  startScrollAnimation(card, direction) {
-    // Stop any existing animation
-    this.stopScrollAnimation();
-
-    this.scrollAnimationActive = true;
-    this.currentTransitionCard = card;
-    this.transitionDirection = direction; // 'toMap' or 'toDotPlot'
+  // One button per bin size, on the table toggle's row; hidden on the map
+  setupBinControl() {
+    const { t } = this.locale;
+    this.binControl = d3
+      .select(this.container)
+      .append("div")
+      .attr("class", "chart-bin-control")
+      .attr("role", "group")
+      .attr("aria-label", t("dotmap.binControl"));
+
+    this.binControl
+      .selectAll("button")
+      .data(Object.keys(BIN_SIZES))
+      .join("button")
+      .attr("type", "button")
+      .text((size) => t(`dotmap.bins.${size}`))
+      .on("click", (event, size) => {
+        this.selectedBin = size;
+        this.setBin(size);
+      });
 
-    // Start animation loop
-    this.updateScrollAnimation();
+    this.updateBinControl();
+    this.placeControls();
   }
 
-  // Stop scroll-bound animation
-  stopScrollAnimation() {
-    this.scrollAnimationActive = false;
-    this.currentTransitionCard = null;
-    this.transitionDirection = null;
-
-    if (this.rafId) {
-      cancelAnimationFrame(this.rafId);
-      this.rafId = null;
-    }
+  updateBinControl() {
+    if (!this.binControl) return;
+    this.binControl.property("hidden", this.isMapView);
+    this.binControl
+      .selectAll("button")
+      .attr("aria-pressed", (size) => String(size === this.binSize));
   }
 
-  resize() {
-    this.isMobile = window.innerWidth <= 768;
-    // Update SVG size
-    this.svg.attr("viewBox", `0 0 ${this.width} ${this.height}`);
+  // Play/pause, a date slider and a readout revealing the strikes on the
+  // map in date order; shown on the map only
+  setupPlayback() {
+    const located = this.csvData.filter((d) => d.coordinates);
+    if (!located.length) return;
 
-    // Update projection
-    this.projection
-      .scale(this.width / 2.5)
-      .translate([this.width / 2, this.height / 2]);
+    const { t, formatDate } = this.locale;
+    const [start, end] = d3.extent(located, (d) => d.event_date);
+    this.playbackExtent = [start, end];
+    this.playhead = null;
+    this.playTimer = null;
 
-    // Update scales
-    this.xScale.range([this.dotOffsetX, this.dotOffsetX + this.dotWidth]);
-    this.yScale.range([this.dotOffsetY + this.dotHeight, this.dotOffsetY]);
-
-    // Update axes
-    this.svg
-      .select(".x-axis")
-      .attr("transform", `translate(0,${this.dotOffsetY + this.dotHeight})`)
-      .call(d3.axisBottom(this.xScale));
-
-    this.svg
-      .select(".y-axis")
-      .attr("transform", `translate(${this.dotOffsetX},0)`)
-      .call(d3.axisLeft(this.yScale));
-
-    // Update map
-    // this.sphere.attr("d", this.path);
-    this.land.attr("d", this.path);
-    this.strikeCountriesGroup.selectAll(".strike-country").attr("d", this.path); // ADD THIS
-
-    // Update dot positions based on current view
-    if (this.isMapView) {
-      this.dots.each((d, i, nodes) => {
-        const geoFeature = this.geoData.features.find(
-          (f) => f.properties.id === d.id,
-        );
-        if (geoFeature) {
-          const [x, y] = this.projection(geoFeature.geometry.coordinates);
-          d3.select(nodes[i]).attr("cx", x).attr("cy", y);
-        }
+    this.playback = d3
+      .select(this.container)
+      .append("div")
+      .attr("class", "chart-playback")
+      .attr("role", "group")
+      .attr("aria-label", t("dotmap.playback"));
+
+    this.playButton = this.playback
+      .append("button")
+      .attr("type", "button")
+      .text(t("dotmap.play"))
+      .on("click", () => (this.playTimer ? this.pause() : this.play()));
+
+    this.playSlider = this.playback
+      .append("input")
+      .attr("type", "range")
+      .attr("min", 0)
+      .attr("max", Math.round((end - start) / DAY))
+      .attr("step", 1)
+      .attr("aria-label", t("dotmap.playhead"))
+      .property("value", Math.round((end - start) / DAY))
+      .on("input", (event) => {
+        this.pause();
+        this.showPlayhead(new Date(+start + event.target.value * DAY));
       });
-    } else {
-      this.dots
-        .attr("cx", (d) => this.xScale(d.event_date))
-        .attr("cy", (d) => this.yScale(d.stack));
-    }
+
+    this.playReadout = this.playback
+      .append("output")
+      .attr("aria-live", "off")
+      .text(formatDate(end));
+
+    // Stop when the chart scrolls out of view or the tab is hidden
+    new IntersectionObserver(([entry]) => {
+      if (!entry.isIntersecting) this.pause();
+    }).observe(this.container);
+    document.addEventListener("visibilitychange", () => {
+      if (document.hidden) this.pause();
+    });
+
+    this.updatePlayback();
+    this.placeControls();
   }
 
-  toggleView(isMap, step) {
-    this.isMapView = isMap;
+  // From the playhead, or from the start once it has reached the end
+  play() {
+    const [start, end] = this.playbackExtent;
+    if (!this.playhead || this.playhead >= end) this.playhead = start;
+
+    const from = +this.playhead;
+    const rate = (end - start) / PLAYBACK_DURATION;
+    this.playTimer = d3.timer((elapsed) => {
+      const date = new Date(Math.min(+end, from + elapsed * rate));
+      this.showPlayhead(date);
+      if (date >= end) this.pause();
+    });
+    this.playButton.text(this.locale.t("dotmap.pause"));
+  }
 
-    if (isMap) {
-      // Transition to map view
-      this.dots
-        .transition()
-        .duration(1000)
-        .attr("cx", (d) => {
-          const geoFeature = this.geoData.features.find(
-            (f) => f.properties.id === d.id,
-          );
-          if (geoFeature) {
-            const [x] = this.projection(geoFeature.geometry.coordinates);
-            return x;
-          }
-          return this.xScale(d.week);
-        })
-        .attr("cy", (d) => {
-          const geoFeature = this.geoData.features.find(
-            (f) => f.properties.id === d.id,
-          );
-          if (geoFeature) {
-            const [, y] = this.projection(geoFeature.geometry.coordinates);
-            return y;
-          }
-          return this.yScale(d.stack);
-        })
-        .attr("r", 2.5)
-        .attr("stroke-width", 0)
-        .style("opacity", (d) => {
-          const geoFeature = this.geoData.features.find(
-            (f) => f.properties.id === d.id,
-          );
-          return geoFeature ? 0.33 : 0;
-        });
+  pause() {
+    this.playTimer?.stop();
+    this.playTimer = null;
+    this.playButton?.text(this.locale.t("dotmap.play"));
+  }
 
-      // Fade out axes, fade in map
-      this.axesGroup.transition().duration(1000).style("opacity", 0);
-      this.mapGroup.transition().duration(1000).style("opacity", 1);
+  // Strikes up to the date: the latest at full opacity, older ones fading
+  // to the resting opacity, later ones hidden
+  showPlayhead(date) {
+    this.playhead = date;
 
-      // Handle country labels based on step
-      if (step === 5) {
-        this.showCountryLabels(step);
-      } else if (step > 5) {
-        // Redraw labels with filter
-        this.showCountryLabels(step);
-      } else {
-        // Hide labels for steps < 5
-        this.hideCountryLabels();
-      }
-    } else {
-      // Transition back to dot plot view
-      this.dots
-        .transition()
-        .duration(1000)
-        .attr("cx", (d) => this.xScale(d.event_date))
-        .attr("cy", (d) => this.yScale(d.stack))
-        .attr("r", 2.5)
-        .style("opacity", 1);
+    this.dots.style("opacity", (d) => {
+      const age = (date - d.event_date) / DAY;
+      if (!d.mapXY || age < 0) return 0;
+      return Math.max(MAP_OPACITY, 1 - (age / FADE_DAYS) * (1 - MAP_OPACITY));
+    });
 
-      // Hide country labels
-      this.hideCountryLabels();
+    const [start] = this.playbackExtent;
+    this.playSlider.property("value", Math.round((date - start) / DAY));
+    this.playReadout.text(this.locale.formatDate(date));
+  }
 
-      // Fade in axes, fade out map
-      this.axesGroup.transition().duration(1000).style("opacity", 1);
-      this.mapGroup.transition().duration(1000).style("opacity", 0);
-    }
+  // Leaving the map stops the time-lapse and shows every strike again
+  updatePlayback() {
+    if (!this.playback) return;
+
+    const onMap = this.transitionProgress === 1;
+    this.playback.property("hidden", !onMap);
+    if (!onMap) this.resetPlayback();
   }
 
-  // Optional: Add rotation capability for the map
-  startRotation() {
-    if (!this.isMapView) return;
+  // Stopped, with the slider and readout at the end: every strike shown
+  resetPlayback() {
+    this.pause();
+    this.playhead = null;
+    if (!this.playback) return;
+    this.playSlider.property("value", this.playSlider.attr("max"));
+    this.playReadout.text(this.locale.formatDate(this.playbackExtent[1]));
+  }
 
-    this.rotationTimer = d3.timer((elapsed) => {
-      const rotation = [elapsed / 100, -20];
-      this.projection.rotate(rotation);
+  // The time-lapse drives the marks a redraw replaces
+  redraw() {
+    this.resetPlayback();
+    super.redraw();
+  }
 
-      // Update map
-      // this.sphere.attr("d", this.path);
-      this.land.attr("d", this.path);
+  placeTableToggle() {
+    super.placeTableToggle();
+    this.placeControls();
+  }
 
-      // Update dot positions
-      this.dots.each((d, i, nodes) => {
-        const geoFeature = this.geoData.features.find(
-          (f) => f.properties.id === d.id,
-        );
-        if (geoFeature) {
-          const [x, y] = this.projection(geoFeature.geometry.coordinates);
-          const visible = x && y && !isNaN(x) && !isNaN(y);
-          d3.select(nodes[i])
-            .attr("cx", x)
-            .attr("cy", y)
-            .style("opacity", visible ? 0.8 : 0);
-        }
-      });
-    });
+  // The bin control (dot plot) or the playback (map) go on the table
+  // toggle's row, before it
+  placeControls() {
+    if (!this.tableToggle) return;
+
+    const host = this.container.getBoundingClientRect();
+    const toggle = this.tableToggle.node().getBoundingClientRect();
+    [this.binControl, this.playback].forEach((control) =>
+      control
+        ?.style("top", `${toggle.top - host.top}px`)
+        .style("right", `${host.right - toggle.left + 6}px`),
+    );
   }
 
-  stopRotation() {
-    if (this.rotationTimer) {
-      this.rotationTimer.stop();
-    }
+  // Called for every card while the section is on screen; only the
+  // transition card drives the dots
+  scrubStep(step, progress) {
+    if (this.getStepConfig(step).view !== "transition") return;
+    this.setTransitionProgress(progress);
   }
 }
 
@@ -1,5 +1,8 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
-import { CONFIG } from "./config.js";
+import { dataUrls } from "./manifest.js";
+import { BaseChart } from "./BaseChart.js";
+import { html } from "./template.js";
+import { Legend } from "./Legend.js";
 
 /**
  * FMSCategoryScatter - European FMS purchases scatter plot
@@ -11,43 +14,9 @@ import { CONFIG } from "./config.js";
  * - Result: Full screen height for readability on mobile
  */
 
-export class FMSCategoryScatter {
+export class FMSCategoryScatter extends BaseChart {
   constructor(container) {
-    this.isMobile = window.innerWidth <= 768;
-    this.container = container;
-
-    // Get container dimensions - matching DotMapPlot pattern
-    const containerRect = container.getBoundingClientRect();
-    this.width = Math.floor(containerRect.width);
-    // On mobile, use viewport height to ensure legibility
-    // On desktop, use square layout
-    this.height = this.isMobile
-      ? Math.floor(window.innerHeight * 0.85)
-      : this.width;
-    this.legendWidth = 220;
-    this.margin = this.isMobile
-      ? { top: 200, right: 140, bottom: 20, left: 10 }
-      : { top: 220, right: this.legendWidth, bottom: 20, left: 0 };
-
-    // this.margin = { top: 100, right: this.legendWidth, bottom: 20, left: 0 };
-
-    this.init();
-
-    window.addEventListener("resize", () => {
-      this.isMobile = window.innerWidth <= 768;
-      const containerRect = this.container.getBoundingClientRect();
-      this.width = Math.floor(containerRect.width);
-      // On mobile, use viewport height; on desktop use square layout
-      this.height = this.isMobile
-        ? Math.floor(window.innerHeight * 0.85)
-        : this.width;
-
-      this.margin = this.isMobile
-        ? { top: 200, right: 140, bottom: 20, left: 10 }
-        : { top: 220, right: this.legendWidth, bottom: 20, left: 0 };
-
-      this.resize();
-    });
+    super(container);
 
     this.legendOrder = [
       "EU Member State",
@@ -56,18 +25,28 @@ export class FMSCategoryScatter {
     ];
   }
 
-  async init() {
-    await this.loadData();
-    this.setupScales();
-    this.setupColorScale();
-    this.createSVG();
-    this.setupElements();
-    this.setupTooltip();
+  // On mobile, use viewport height to ensure legibility
+  // On desktop, use square layout
+  defaultSize() {
+    return {
+      width: "full",
+      height: this.isMobile ? "85vh" : (width) => width,
+    };
+  }
+
+  setDimensions() {
+    this.legendWidth = 220;
+    this.margin = this.isMobile
+      ? { top: 200, right: 140, bottom: 20, left: 10 }
+      : { top: 220, right: this.legendWidth, bottom: 20, left: 0 };
+
+    // this.margin = { top: 100, right: this.legendWidth, bottom: 20, left: 0 };
   }
 
   async loadData() {
     try {
-      const data = await d3.csv(`${CONFIG.BASE_URL}/fms_cat_eu.csv`, (d) => ({
+      const urls = dataUrls("fms-category", this.container);
+      const data = await d3.csv(urls.sales, (d) => ({
         country: d.country,
         name: d.name,
         value: +d.value,
@@ -107,6 +86,39 @@ export class FMSCategoryScatter {
     }
   }
 
+  isEmpty() {
+    return !this.data.length;
+  }
+
+  describe() {
+    const { t } = this.locale;
+    return {
+      title: t("fmsCategory.title"),
+      description: t("fmsCategory.description"),
+    };
+  }
+
+  tableData() {
+    const { t, label, formatBillions } = this.locale;
+    return {
+      columns: [
+        { key: "country", label: t("columns.country") },
+        {
+          key: "name",
+          label: t("columns.category"),
+          format: (v) => label("equipment", v),
+        },
+        {
+          key: "value",
+          label: t("columns.value"),
+          numeric: true,
+          format: (v) => formatBillions(v),
+        },
+      ],
+      rows: this.data.filter((d) => d.value > 0),
+    };
+  }
+
   setupScales() {
     this.xScale = d3
       .scalePoint()
@@ -122,6 +134,8 @@ export class FMSCategoryScatter {
 
     const maxValue = d3.max(this.data, (d) => d.value);
     this.sizeScale = d3.scaleSqrt().domain([0, maxValue]).range([0, 20]);
+
+    this.setupColorScale();
   }
 
   setupColorScale() {
@@ -131,26 +145,15 @@ export class FMSCategoryScatter {
       .range(["#309ebe", "#1d3956", "#c6c6c6"]);
   }
 
-  createSVG() {
-    // Use viewBox for proper scaling (like DotMapPlot)
-    this.svg = d3
-      .select(this.container)
-      .append("svg")
-      .attr("viewBox", `0 0 ${this.width} ${this.height}`)
-      .style("width", "100%")
-      // On mobile, set explicit pixel height to use viewport height
-      // On desktop, use 100% to fill container
-      .style("height", this.isMobile ? `${this.height}px` : "100%");
-    // to prevent scaling down of svg to fit container
-    // .attr("width", this.width)
-    // .attr("height", this.height);
-  }
-
   setupElements() {
     this.setupAxes();
     this.setupLegend();
     this.setupGridlines();
     this.setupDataPoints();
+    this.enableKeyboardNav(this.dots, {
+      compare: (a, b) =>
+        d3.ascending(a.country, b.country) || d3.ascending(a.name, b.name),
+    });
   }
 
   setupAxes() {
@@ -160,7 +163,7 @@ export class FMSCategoryScatter {
       .append("g")
       .attr("class", "x-axis")
       .attr("transform", `translate(0, ${this.margin.top})`)
-      .call(d3.axisTop(this.xScale));
+      .call(this.xAxis());
 
     this.xAxisGroup
       .selectAll("text")
@@ -187,6 +190,13 @@ export class FMSCategoryScatter {
       .style("fill", "#666");
   }
 
+  // Equipment categories along the top, in the reader's language
+  xAxis() {
+    return d3
+      .axisTop(this.xScale)
+      .tickFormat((d) => this.locale.label("equipment", d));
+  }
+
   setupLegend() {
     const legendX = this.width - this.legendWidth;
     const titleY = this.margin.top - 140;
@@ -204,7 +214,7 @@ export class FMSCategoryScatter {
       .style("paint-order", "stroke")
       .style("stroke", "#fff")
       .style("stroke-width", "4")
-      .text("European FMS purchases in 2025");
+      .text(this.locale.t("fmsCategory.title"));
 
     this.legendGroup = this.svg
       .append("g")
@@ -216,27 +226,21 @@ export class FMSCategoryScatter {
           : `translate(${legendX}, ${this.legendY})`,
       );
 
-    this.legendOrder.forEach((category, i) => {
-      const g = this.legendGroup
-        .append("g")
-        .attr("transform", `translate(0, ${22 + i * 20})`);
-
-      g.append("text")
-        .attr("x", this.legendWidth - 24)
-        .attr("y", 9)
-        .attr("text-anchor", "end")
-        .style("font-size", this.isMobile ? "10px" : "12px")
-        .style("fill", "#333")
-        .text(category);
-
-      g.append("circle")
-        .attr("cx", this.legendWidth - 10)
-        .attr("cy", 6)
-        .attr("r", 6)
-        .attr("fill", this.colorScale(category))
-        .attr("stroke", "#fff")
-        .attr("stroke-width", 1);
-    });
+    // One column under the title, right-aligned with it
+    this.legendKey = new Legend(
+      this.legendGroup.append("g").attr("transform", "translate(0, 16)"),
+      {
+        items: this.legendOrder.map((category) => ({
+          label: this.locale.label("buyerGroup", category),
+          color: this.colorScale(category),
+        })),
+        width: this.legendWidth - 4,
+        align: "end",
+        columns: 1,
+        fontSize: this.isMobile ? 10 : 12,
+        textColor: "#333",
+      },
+    );
   }
 
   setupGridlines() {
@@ -284,106 +288,16 @@ export class FMSCategoryScatter {
       .attr("stroke-width", 0.5)
       .style("opacity", 0.8)
       .style("cursor", "pointer")
-      .on("mouseover", (event, d) => this.showTooltip(event, d))
-      .on("mouseout", () => this.hideTooltip());
-  }
-
-  setupTooltip() {
-    this.tooltip = d3
-      .select("body")
-      .append("div")
-      .attr("class", "tooltip")
-      .style("position", "absolute")
-      .style("padding", "10px")
-      .style("background", "#fff")
-      .style("border", "1px solid #ccc")
-      .style("border-radius", "4px")
-      .style("pointer-events", "none")
-      .style("opacity", 0)
-      .style("z-index", 1000);
-  }
-
-  showTooltip(event, d) {
-    this.tooltip
-      .style("opacity", 1)
-      .html(
-        `<strong>${d.country}</strong><br/>${d.name}<br/><i>$${d.value.toFixed(1)} billion</i>`,
+      .on("mouseover", (event, d) =>
+        this.showTooltip(event, this.tooltipContent(d)),
       )
-      .style("left", event.pageX + 10 + "px")
-      .style("top", event.pageY - 10 + "px");
-  }
-
-  hideTooltip() {
-    this.tooltip.style("opacity", 0);
+      .on("mouseout", () => this.hideTooltip());
   }
 
-  resize() {
-    this.isMobile = window.innerWidth <= 768;
-    this.svg.attr("viewBox", `0 0 ${this.width} ${this.height}`);
-    // Update SVG height style based on mobile state
-    this.svg.style("height", this.isMobile ? `${this.height}px` : "100%");
-    // to prevent scaling down of svg to fit container
-    // this.svg.attr("width", this.width).attr("height", this.height);
-
-    this.xScale.range([this.margin.left, this.width - this.margin.right]);
-    this.yScale.range([this.margin.top, this.height - this.margin.bottom]);
-
-    this.xAxisGroup
-      .attr("transform", `translate(0, ${this.margin.top})`)
-      .call(d3.axisTop(this.xScale));
-
-    this.xAxisGroup
-      .selectAll("text")
-      .attr("transform", "rotate(-45)")
-      .style("text-anchor", "start")
-      .attr("dx", ".25em")
-      .attr("dy", ".75em")
-      .style("font-size", this.isMobile ? "10px" : "12px")
-      .style("fill", "#666");
-
-    this.yAxisGroup.call(d3.axisLeft(this.yScale));
-
-    this.axesGroup.selectAll(".domain").remove();
-    this.axesGroup.selectAll(".tick line").remove();
-
-    this.yAxisGroup
-      .selectAll(".tick text")
-      .style("text-anchor", "end")
-      .style("font-size", this.isMobile ? "10px" : "12px")
-      .style("fill", "#666");
-
-    if (this.isMobile) {
-      this.yAxisGroup
-        .selectAll(".tick text")
-        .attr("x", this.xScale.range()[0] + 6)
-        .style("text-anchor", "start")
-        .style("opacity", 0.6);
-    }
-
-    this.gridlinesGroup
-      .selectAll(".grid-vertical")
-      .attr("x1", (d) => this.xScale(d))
-      .attr("x2", (d) => this.xScale(d))
-      .attr("y1", this.margin.top)
-      .attr("y2", this.height - this.margin.bottom);
-
-    this.gridlinesGroup
-      .selectAll(".grid-horizontal")
-      .attr("x1", this.margin.left)
-      .attr("x2", this.width - this.margin.right)
-      .attr("y1", (d) => this.yScale(d))
-      .attr("y2", (d) => this.yScale(d));
-
-    this.dots
-      .attr("cx", (d) => this.xScale(d.name))
-      .attr("cy", (d) => this.yScale(d.country));
-
-    const legendX = this.width - this.legendWidth;
-    this.titleText.attr("x", legendX + this.legendWidth - 12);
-    this.legendGroup.attr(
-      "transform",
-      `translate(${legendX}, ${this.legendY})`,
-    );
+  tooltipContent(d) {
+    const { label, formatBillions } = this.locale;
+    const value = formatBillions(d.value);
+    return html`<strong>${d.country}</strong><br/>${label("equipment", d.name)}<br/><i>${value}</i>`;
   }
 }
 
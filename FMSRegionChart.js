@@ -1,58 +1,44 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
-import { CONFIG } from "./config.js";
+import { dataUrls } from "./manifest.js";
+import { parseList, parseYears } from "./scrolly.js";
+import { BaseChart } from "./BaseChart.js";
+import { html } from "./template.js";
+import { Legend } from "./Legend.js";
 
-export class FMSRegionChart {
+export class FMSRegionChart extends BaseChart {
   constructor(container) {
-    this.isMobile = window.innerWidth <= 768;
-    this.container = container;
+    super(container);
+
+    // Cards declare the bars they highlight
+    // (data-region="Europe" data-years="2023-2025")
+    this.registerSteps("fms-region", {
+      enter: (step, card) =>
+        this.highlightRegion(step, {
+          regions: parseList(card.dataset.region),
+          dates: parseYears(card.dataset.years),
+        }),
+    });
+  }
 
-    // Get container dimensions - 50% width, 66% height, right-aligned
-    const containerRect = container.getBoundingClientRect();
-    this.width = this.isMobile
-      ? window.innerWidth * 0.9
-      : Math.round(containerRect.width * 0.5);
-    this.height = window.innerHeight * 0.66;
+  // Half the column (right-aligned), 66% of the viewport height
+  defaultSize() {
+    return { width: this.isMobile ? "full" : "half", height: "66vh" };
+  }
 
+  setDimensions() {
     this.margin = this.isMobile
       ? { top: 80, right: 20, bottom: 60, left: 60 }
       : { top: 100, right: 20, bottom: 60, left: 80 };
-
-    this.init();
-
-    window.addEventListener("resize", () => {
-      const containerRect = this.container.getBoundingClientRect();
-      this.width = Math.round(containerRect.width * 0.5);
-      this.height = window.innerHeight * 0.66;
-      this.resize();
-    });
-  }
-
-  async init() {
-    await this.loadData();
-    this.setupScales();
-    this.setupColorScale();
-    this.createSVG();
-    this.setupElements();
-    this.setupTooltip();
-
-    this.titleText = this.svg
-      .append("text")
-      .attr("class", "viz-title-narrow")
-      .attr("x", this.margin.left)
-      .attr("y", 20)
-      .text("US foreign military sales");
   }
 
   async loadData() {
     try {
-      const data = await d3.csv(
-        `${CONFIG.BASE_URL}/fms_region_long.csv`,
-        (d) => ({
-          region: d.region,
-          date: +d.date,
-          value: +d.value,
-        }),
-      );
+      const urls = dataUrls("fms-region", this.container);
+      const data = await d3.csv(urls.sales, (d) => ({
+        region: d.region,
+        date: +d.date,
+        value: +d.value,
+      }));
 
       this.data = data;
       this.regions = [...new Set(data.map((d) => d.region))];
@@ -87,6 +73,39 @@ export class FMSRegionChart {
     }
   }
 
+  isEmpty() {
+    return !this.data.length;
+  }
+
+  describe() {
+    const { t } = this.locale;
+    return {
+      title: t("fmsRegion.title"),
+      description: t("fmsRegion.description"),
+    };
+  }
+
+  tableData() {
+    const { t, label, formatBillions } = this.locale;
+    return {
+      columns: [
+        {
+          key: "region",
+          label: t("columns.region"),
+          format: (v) => label("region", v),
+        },
+        { key: "date", label: t("columns.year"), numeric: true },
+        {
+          key: "value",
+          label: t("columns.value"),
+          numeric: true,
+          format: (v) => formatBillions(v),
+        },
+      ],
+      rows: this.data,
+    };
+  }
+
   setupScales() {
     this.xScale = d3
       .scaleBand()
@@ -103,6 +122,8 @@ export class FMSRegionChart {
       .domain([0, maxValue])
       .range([this.height - this.margin.bottom, this.margin.top])
       .nice();
+
+    this.setupColorScale();
   }
 
   setupColorScale() {
@@ -119,63 +140,50 @@ export class FMSRegionChart {
       ]);
   }
 
-  createSVG() {
-    // Use viewBox and right-align with margin-left: auto
-    this.svg = d3
-      .select(this.container)
-      .append("svg")
-      .attr("viewBox", `0 0 ${this.width} ${this.height}`)
-      .style("width", this.isMobile ? "100%" : "50%")
-      .style("height", "66vh")
-      .style("margin-left", this.isMobile ? "0" : "auto");
-  }
-
   setupElements() {
     this.chartGroup = this.svg.append("g");
     this.setupLegend();
     this.setupAxes();
     this.drawBars();
+    this.enableKeyboardNav(this.barsGroup.selectAll("rect"), {
+      compare: (a, b) => a.data.date - b.data.date,
+      content: (d, node) =>
+        this.tooltipContent(d, d3.select(node.parentNode).datum().key),
+    });
+
+    this.titleText = this.svg
+      .append("text")
+      .attr("class", "viz-title-narrow")
+      .attr("x", this.margin.left)
+      .attr("y", 20)
+      .text(this.locale.t("fmsRegion.title"));
   }
 
   setupLegend() {
-    const itemsPerRow = 3;
-    const rowHeight = 20;
-    const colWidth = Math.max(
-      100,
-      (this.width - this.margin.left - this.margin.right) / itemsPerRow,
-    );
+    this.legendGroup = this.svg.append("g").attr("class", "legend");
+
+    this.legendKey = new Legend(this.legendGroup, {
+      items: this.regions.map((region) => ({
+        label: this.locale.label("region", region),
+        color: this.colorScale(region),
+      })),
+      width: this.width - this.margin.left - this.margin.right,
+      fontSize: 12,
+      textColor: "#333",
+    });
 
-    const legendGroup = this.svg
-      .append("g")
-      .attr("class", "legend")
-      .attr(
-        "transform",
-        `translate(${this.margin.left}, ${this.margin.top - rowHeight * 2 - 10})`,
-      );
+    this.placeLegend();
+  }
 
-    this.regions.forEach((region, i) => {
-      const col = i % itemsPerRow;
-      const row = Math.floor(i / itemsPerRow);
-
-      const group = legendGroup
-        .append("g")
-        .attr("transform", `translate(${col * colWidth}, ${row * rowHeight})`);
-
-      group
-        .append("circle")
-        .attr("cx", 6)
-        .attr("cy", 8)
-        .attr("r", 6)
-        .attr("fill", this.colorScale(region));
-
-      group
-        .append("text")
-        .attr("x", 18)
-        .attr("y", 12)
-        .style("font-size", "12px")
-        .style("fill", "#333")
-        .text(region);
-    });
+  // As many columns as fit across the plot, just above it
+  placeLegend() {
+    const { height } = this.legendKey.layout(
+      this.width - this.margin.left - this.margin.right,
+    );
+    this.legendGroup.attr(
+      "transform",
+      `translate(${this.margin.left}, ${this.margin.top - height - 20})`,
+    );
   }
 
   setupAxes() {
@@ -194,7 +202,9 @@ export class FMSRegionChart {
       .append("g")
       .attr("class", "y-axis")
       .attr("transform", `translate(${this.margin.left}, 0)`)
-      .call(d3.axisLeft(this.yScale).ticks(6));
+      .call(
+        d3.axisLeft(this.yScale).ticks(6).tickFormat(this.locale.format(",")),
+      );
 
     this.svg.selectAll(".domain").remove();
     this.svg
@@ -236,46 +246,19 @@ export class FMSRegionChart {
       .style("cursor", "pointer")
       .on("mouseover", (event, d) => {
         const layer = d3.select(event.currentTarget.parentNode).datum();
-        this.showTooltip(event, d, layer.key);
+        this.showTooltip(event, this.tooltipContent(d, layer.key));
       })
       .on("mouseout", () => this.hideTooltip());
   }
 
-  setupTooltip() {
-    this.tooltip = d3
-      .select("body")
-      .append("div")
-      .attr("class", "tooltip")
-      .style("position", "absolute")
-      .style("padding", "10px")
-      .style("background", "#fff")
-      .style("border", "1px solid #ccc")
-      .style("border-radius", "4px")
-      .style("pointer-events", "none")
-      .style("opacity", 0)
-      .style("z-index", 1000);
+  tooltipContent(d, region) {
+    const { label, formatBillions } = this.locale;
+    const value = formatBillions(d.data[region]);
+    return html`<strong>${label("region", region)}</strong><br/>${value}`;
   }
 
-  showTooltip(event, d, region) {
-    const value = d.data[region];
-    this.tooltip
-      .style("opacity", 1)
-      .html(`<strong>${region}</strong><br/>$${value.toFixed(1)} billion`)
-      .style("left", event.pageX + 10 + "px")
-      .style("top", event.pageY - 10 + "px");
-  }
-
-  hideTooltip() {
-    this.tooltip.style("opacity", 0);
-  }
-
-  highlightRegion(step) {
-    const targets = {
-      1: { regions: ["Europe"], dates: [2025] },
-      2: { regions: ["Europe"], dates: [2023, 2024, 2025] },
-    };
-
-    const target = targets[step];
+  highlightRegion(step, { regions = [], dates = [] } = {}) {
+    const target = regions.length || dates.length ? { regions, dates } : null;
 
     this.chartGroup
       .selectAll(".fms-bar")
@@ -286,44 +269,11 @@ export class FMSRegionChart {
         const region = d3.select(this).attr("data-region");
         const date = +d3.select(this).attr("data-date");
         const isMatch =
-          target.regions.includes(region) && target.dates.includes(date);
+          (!target.regions.length || target.regions.includes(region)) &&
+          (!target.dates.length || target.dates.includes(date));
         return isMatch ? 1 : 0.5;
       });
   }
-
-  resize() {
-    this.isMobile = window.innerWidth <= 768;
-    this.svg.attr("viewBox", `0 0 ${this.width} ${this.height}`);
-
-    this.width = this.isMobile
-      ? window.innerWidth * 0.9
-      : Math.round(this.container.clientWidth * 0.5);
-
-    this.margin = this.isMobile
-      ? { top: 80, right: 20, bottom: 60, left: 60 }
-      : { top: 100, right: 20, bottom: 60, left: 80 };
-
-    this.xScale.range([this.margin.left, this.width - this.margin.right]);
-    this.yScale.range([this.height - this.margin.bottom, this.margin.top]);
-
-    this.xAxisGroup
-      .attr("transform", `translate(0, ${this.height - this.margin.bottom})`)
-      .call(
-        d3
-          .axisBottom(this.xScale)
-          .tickValues([2017, 2020, 2025])
-          .tickFormat(d3.format("d")),
-      );
-
-    this.yAxisGroup.call(d3.axisLeft(this.yScale).ticks(6));
-
-    this.chartGroup
-      .selectAll(".fms-bar")
-      .attr("x", (d) => this.xScale(d.data.date))
-      .attr("y", (d) => this.yScale(d[1]))
-      .attr("width", this.xScale.bandwidth())
-      .attr("height", (d) => this.yScale(d[0]) - this.yScale(d[1]));
-  }
 }
 
 export default FMSRegionChart;
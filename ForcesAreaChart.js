@@ -1,18 +1,15 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
-import { CONFIG } from "./config.js";
-
-export class ForcesAreaChart {
-  constructor(container) {
-    this.isMobile = window.innerWidth <= 768;
-    this.container = container;
-
-    // Get container dimensions - 50% width, right-aligned
-    const containerRect = container.getBoundingClientRect();
-    this.width = this.isMobile
-      ? window.innerWidth * 0.9
-      : Math.round(containerRect.width * 0.5);
-    this.height = window.innerHeight * 0.66;
+import { dataUrls } from "./manifest.js";
+import { BaseChart } from "./BaseChart.js";
+import { html } from "./template.js";
+
+export class ForcesAreaChart extends BaseChart {
+  // Half the column (right-aligned), 66% of the viewport height
+  defaultSize() {
+    return { width: this.isMobile ? "90%" : "half", height: "66vh" };
+  }
 
+  setDimensions() {
     this.margin = this.isMobile
       ? {
           top: 60,
@@ -21,36 +18,12 @@ export class ForcesAreaChart {
           left: this.width * 0.125,
         }
       : { top: 60, right: 200, bottom: 60, left: 80 };
-
-    this.init();
-
-    window.addEventListener("resize", () => {
-      const containerRect = this.container.getBoundingClientRect();
-      this.width = Math.round(containerRect.width * 0.5);
-      this.height = window.innerHeight * 0.66;
-      this.resize();
-    });
-  }
-
-  async init() {
-    await this.loadData();
-    this.setupScales();
-    this.setupColorScale();
-    this.createSVG();
-    this.setupElements();
-    // this.setupTooltip();
-
-    this.titleText = this.svg
-      .append("text")
-      .attr("class", "viz-title-narrow")
-      .attr("x", this.margin.left)
-      .attr("y", 20)
-      .text("US personnel in Europe over time");
   }
 
   async loadData() {
     try {
-      const data = await d3.csv(`${CONFIG.BASE_URL}/forces_total.csv`, (d) => ({
+      const urls = dataUrls("forces-area", this.container);
+      const data = await d3.csv(urls.forces, (d) => ({
         date: d3.timeParse("%Y-%m-%d")(d.date),
         name: d.name,
         value: +d.value,
@@ -87,6 +60,39 @@ export class ForcesAreaChart {
     }
   }
 
+  isEmpty() {
+    return !this.data.length;
+  }
+
+  describe() {
+    const { t } = this.locale;
+    return {
+      title: t("forces.title"),
+      description: t("forces.description"),
+    };
+  }
+
+  tableData() {
+    const { t, label, formatMonth, formatNumber } = this.locale;
+    return {
+      columns: [
+        { key: "date", label: t("columns.date"), format: formatMonth },
+        {
+          key: "name",
+          label: t("columns.category"),
+          format: (v) => label("forcesCategory", v),
+        },
+        {
+          key: "value",
+          label: t("columns.personnel"),
+          numeric: true,
+          format: formatNumber,
+        },
+      ],
+      rows: this.data,
+    };
+  }
+
   setupScales() {
     this.xScale = d3
       .scaleTime()
@@ -102,6 +108,8 @@ export class ForcesAreaChart {
       .domain([0, maxValue])
       .range([this.height - this.margin.bottom, this.margin.top])
       .nice();
+
+    this.setupColorScale();
   }
 
   setupColorScale() {
@@ -111,22 +119,18 @@ export class ForcesAreaChart {
       .range(["#309ebe", "#595959", "#c6c6c6"]);
   }
 
-  createSVG() {
-    // Use viewBox and right-align with margin-left: auto
-    this.svg = d3
-      .select(this.container)
-      .append("svg")
-      .attr("viewBox", `0 0 ${this.width} ${this.height}`)
-      .style("width", this.isMobile ? "90%" : "50%")
-      .style("height", "66vh")
-      .style("margin-left", "auto");
-  }
-
   setupElements() {
     this.chartGroup = this.svg.append("g");
     this.setupAxes();
     this.drawAreas();
     this.drawAreaLabels();
+
+    this.titleText = this.svg
+      .append("text")
+      .attr("class", "viz-title-narrow")
+      .attr("x", this.margin.left)
+      .attr("y", 20)
+      .text(this.locale.t("forces.title"));
   }
 
   setupAxes() {
@@ -138,14 +142,15 @@ export class ForcesAreaChart {
         d3
           .axisBottom(this.xScale)
           .tickValues(this.dates)
-          .tickFormat(d3.timeFormat("%b")),
+          .tickFormat(this.locale.timeFormat("%b")),
       );
 
     // Add year as second line
+    const formatYear = this.locale.timeFormat("%Y");
     this.xAxisGroup.selectAll(".tick text").each(function (d) {
       const text = d3.select(this);
       const month = text.text();
-      const year = d3.timeFormat("%Y")(d);
+      const year = formatYear(d);
 
       text.text(null); // Clear existing text
       text.append("tspan").attr("x", 0).attr("dy", "1em").text(month);
@@ -160,7 +165,9 @@ export class ForcesAreaChart {
       .append("g")
       .attr("class", "y-axis")
       .attr("transform", `translate(${this.margin.left}, 0)`)
-      .call(d3.axisLeft(this.yScale).ticks(6));
+      .call(
+        d3.axisLeft(this.yScale).ticks(6).tickFormat(this.locale.format(",")),
+      );
 
     this.svg.selectAll(".domain").remove();
     this.svg
@@ -195,8 +202,12 @@ export class ForcesAreaChart {
       .attr("fill", (d) => this.colorScale(d.key))
       .style("opacity", 1)
       .style("cursor", "pointer");
-    // .on("mouseover", (event, d) => this.showTooltip(event, d))
-    // .on("mousemove", (event, d) => this.updateTooltip(event, d))
+    // .on("mouseover", (event, d) =>
+    //   this.showTooltip(event, this.tooltipContent(d, event)),
+    // )
+    // .on("mousemove", (event, d) =>
+    //   this.showTooltip(event, this.tooltipContent(d, event)),
+    // )
     // .on("mouseout", () => this.hideTooltip());
   }
 
@@ -229,25 +240,10 @@ export class ForcesAreaChart {
         return this.yScale((d[0] + d[1]) / 2);
       })
       .attr("dx", "0.5em")
-      .text((d) => d.key);
-  }
-
-  setupTooltip() {
-    this.tooltip = d3
-      .select("body")
-      .append("div")
-      .attr("class", "tooltip")
-      .style("position", "absolute")
-      .style("padding", "10px")
-      .style("background", "#fff")
-      .style("border", "1px solid #ccc")
-      .style("border-radius", "4px")
-      .style("pointer-events", "none")
-      .style("opacity", 0)
-      .style("z-index", 1000);
+      .text((d) => this.locale.label("forcesCategory", d.key));
   }
 
-  showTooltip(event, d) {
+  tooltipContent(d, event) {
     const name = d.key;
     const mouseX = d3.pointer(event, this.svg.node())[0];
     const xDate = this.xScale.invert(mouseX);
@@ -255,67 +251,9 @@ export class ForcesAreaChart {
     const index = bisect(d, xDate);
     const dataPoint = d[index] || d[d.length - 1];
     const value = dataPoint.data[name];
+    const { label, formatMonth, formatNumber } = this.locale;
 
-    this.tooltip
-      .style("opacity", 1)
-      .html(
-        `<strong>${name}</strong><br/>${d3.timeFormat("%b %Y")(xDate)}<br/>${value.toLocaleString()}`,
-      )
-      .style("left", event.pageX + 10 + "px")
-      .style("top", event.pageY - 10 + "px");
-  }
-
-  updateTooltip(event, d) {
-    this.showTooltip(event, d);
-  }
-
-  hideTooltip() {
-    this.tooltip.style("opacity", 0);
-  }
-
-  resize() {
-    this.isMobile = window.innerWidth <= 768;
-    this.width = this.isMobile
-      ? window.innerWidth * 0.9
-      : Math.round(containerRect.width * 0.5);
-    this.height = window.innerHeight * 0.66;
-
-    this.margin = this.isMobile
-      ? {
-          top: 60,
-          right: this.width * 0.5,
-          bottom: 60,
-          left: this.width * 0.125,
-        }
-      : { top: 60, right: 200, bottom: 60, left: 80 };
-
-    this.xScale.range([this.margin.left, this.width - this.margin.right]);
-    this.yScale.range([this.height - this.margin.bottom, this.margin.top]);
-
-    this.xAxisGroup
-      .attr("transform", `translate(0, ${this.height - this.margin.bottom})`)
-      .call(d3.axisBottom(this.xScale).ticks(6));
-
-    this.yAxisGroup.call(d3.axisLeft(this.yScale).ticks(6));
-
-    const area = d3
-      .area()
-      .x((d) => this.xScale(d.data.date))
-      .y0((d) => this.yScale(d[0]))
-      .y1((d) => this.yScale(d[1]))
-      .curve(d3.curveCatmullRom);
-
-    this.chartGroup.selectAll(".area").attr("d", area);
-
-    if (this.labelsGroup) {
-      const maxDate = new Date(d3.max(this.dates).getTime());
-      this.labelsGroup.attr("x", this.xScale(maxDate)).attr("y", (layer) => {
-        const bisect = d3.bisector((d) => d.data.date).left;
-        const i = bisect(layer, maxDate);
-        const d = layer[i] || layer[layer.length - 1];
-        return this.yScale((d[0] + d[1]) / 2);
-      });
-    }
+    return html`<strong>${label("forcesCategory", name)}</strong><br/>${formatMonth(xDate)}<br/>${formatNumber(value)}`;
   }
 }
 
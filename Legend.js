@@ -0,0 +1,241 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
+
+/**
+ * Legend - Colour key laid out from its measured labels
+ *
+ * Drawn into a chart's legend group, which the chart still positions. Labels
+ * wider than labelWidth wrap onto several lines; items then flow into as many
+ * columns as fit the available width (a single row when there is room, a
+ * single column on narrow screens). With right-to-left text (dir="rtl" on
+ * the chart or the page) the symbols go after the labels and the items flow
+ * from the right.
+ *
+ * items: [{ label, color, opacity?, symbol? ("dot" | "ring"), radius? }]
+ * options:
+ * - width: space available from the group's origin (needed for align "end"
+ *   and right-to-left text)
+ * - align: "start" or "end" of that space
+ * - columns: a fixed number of columns instead of as many as fit
+ * - labelWidth, fontSize, textColor
+ *
+ * update() changes item labels or colours later and lays the key out again.
+ */
+
+const LINE_HEIGHT = 1.2; // em
+const SYMBOL_GAP = 8;
+const COLUMN_GAP = 16;
+const ROW_GAP = 6;
+
+let context = null;
+
+// Width of a line of text in the font of an SVG text element
+export function measureText(node, text) {
+  context = context || document.createElement("canvas").getContext("2d");
+  const { fontStyle, fontWeight, fontSize, fontFamily } =
+    getComputedStyle(node);
+  context.font = `${fontStyle} ${fontWeight} ${fontSize} ${fontFamily}`;
+  return context.measureText(text).width;
+}
+
+// Lines of at most `width` pixels, broken between words
+export function wrapLines(node, text, width) {
+  const lines = [];
+  let line = "";
+  String(text)
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureText(node, candidate) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Fill an SVG text with one tspan per wrapped line
+export function wrapText(text, content, width) {
+  const x = text.attr("x");
+  const lines = wrapLines(text.node(), content, width);
+  text.text(null);
+  lines.forEach((line, i) => {
+    text
+      .append("tspan")
+      .attr("x", x)
+      .attr("dy", i === 0 ? 0 : `${LINE_HEIGHT}em`)
+      .text(line);
+  });
+  return lines;
+}
+
+export class Legend {
+  constructor(
+    parent,
+    {
+      items,
+      width = Infinity,
+      align = "start",
+      columns = null,
+      labelWidth = 200,
+      fontSize = 14,
+      textColor = "#595959",
+    },
+  ) {
+    this.data = items;
+    this.options = { align, columns, labelWidth, fontSize };
+
+    this.items = parent
+      .selectAll(".legend-item")
+      .data(items)
+      .join("g")
+      .attr("class", "legend-item");
+
+    this.items.append("circle").attr("stroke-width", 1);
+
+    this.items
+      .append("text")
+      .style("font-size", `${fontSize}px`)
+      .style("fill", textColor);
+
+    this.paint();
+    this.layout(width);
+  }
+
+  // New labels, colours or opacities for some items (by index), e.g. for
+  // totals that follow the step
+  update(changes) {
+    this.data = this.data.map((d, i) => ({ ...d, ...changes[i] }));
+    this.items.data(this.data);
+    this.paint();
+    return this.layout();
+  }
+
+  paint() {
+    this.items
+      .select("circle")
+      .attr("r", (d) => radius(d))
+      .attr("fill", (d) => (d.symbol === "ring" ? "none" : d.color))
+      .attr("stroke", (d) => (d.symbol === "ring" ? d.color : "#fff"))
+      .style("opacity", (d) => d.opacity ?? 1);
+  }
+
+  // The group of the i-th item, e.g. to fade it with a step
+  item(i) {
+    return d3.select(this.items.nodes()[i]);
+  }
+
+  // Wrap the labels and place the items for the available width
+  layout(width = this.width) {
+    this.width = width;
+    const { align, columns, labelWidth, fontSize } = this.options;
+    const rtl = getComputedStyle(this.items.node()).direction === "rtl";
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const slot = 2 * d3.max(this.data, radius);
+    const textWidth = Math.max(
+      0,
+      Math.min(labelWidth, width - slot - SYMBOL_GAP),
+    );
+
+    // Wrap each label and measure the resulting item
+    const sizes = this.items.nodes().map((node, i) => {
+      const text = d3.select(node).select("text");
+      const lines = wrapLines(text.node(), this.data[i].label, textWidth);
+      text
+        .selectAll("tspan")
+        .data(lines)
+        .join("tspan")
+        .attr("dy", (_, j) => (j === 0 ? "0.35em" : `${LINE_HEIGHT}em`))
+        .text((line) => line);
+
+      return {
+        width:
+          slot +
+          SYMBOL_GAP +
+          d3.max(lines, (line) => measureText(text.node(), line)),
+        height: lines.length * lineHeight,
+      };
+    });
+
+    const count = columns || fitColumns(sizes, width);
+    const grid = gridOf(sizes, count);
+
+    // Block position within the available width, mirrored for RTL
+    const atEnd = (align === "end") !== rtl;
+    const offset = atEnd ? width - grid.width : 0;
+
+    this.items.each((d, i, nodes) => {
+      const column = i % count;
+      const row = Math.floor(i / count);
+      const columnWidth = grid.columnWidths[column];
+      let x = offset + grid.columnX[column];
+      if (rtl) x = 2 * offset + grid.width - x - columnWidth;
+
+      const item = d3
+        .select(nodes[i])
+        .attr("transform", `translate(${x}, ${grid.rowY[row]})`);
+
+      item
+        .select("circle")
+        .attr("cx", rtl ? columnWidth - slot / 2 : slot / 2)
+        .attr("cy", lineHeight / 2);
+
+      // text-anchor "start" follows the text direction, so RTL labels
+      // already run leftwards from their x
+      const textX = rtl ? columnWidth - slot - SYMBOL_GAP : slot + SYMBOL_GAP;
+      item
+        .select("text")
+        .attr("y", lineHeight / 2)
+        .selectAll("tspan")
+        .attr("x", textX);
+    });
+
+    this.size = { width: grid.width, height: grid.height };
+    return this.size;
+  }
+}
+
+function radius(d) {
+  return d.radius ?? (d.symbol === "ring" ? 10 : 6);
+}
+
+// Most columns whose widest items fit side by side
+function fitColumns(sizes, width) {
+  for (let count = sizes.length; count > 1; count--) {
+    if (gridOf(sizes, count).width <= width) return count;
+  }
+  return 1;
+}
+
+function gridOf(sizes, count) {
+  const columnWidths = d3
+    .range(count)
+    .map((column) =>
+      d3.max(sizes.filter((_, i) => i % count === column), (s) => s.width),
+    );
+  const rowHeights = d3
+    .range(Math.ceil(sizes.length / count))
+    .map((row) =>
+      d3.max(sizes.slice(row * count, (row + 1) * count), (s) => s.height),
+    );
+
+  const columnX = columnWidths.map(
+    (_, i) => d3.sum(columnWidths.slice(0, i)) + i * COLUMN_GAP,
+  );
+  const rowY = rowHeights.map(
+    (_, i) => d3.sum(rowHeights.slice(0, i)) + i * ROW_GAP,
+  );
+
+  return {
+    columnWidths,
+    columnX,
+    rowY,
+    width: d3.sum(columnWidths) + (count - 1) * COLUMN_GAP,
+    height: d3.sum(rowHeights) + (rowHeights.length - 1) * ROW_GAP,
+  };
+}
+
+export default Legend;
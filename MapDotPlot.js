@@ -1,6 +1,8 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
 import * as topojson from "https://cdn.jsdelivr.net/npm/topojson-client@3/+esm";
-import { CONFIG } from "./config.js";
+import { dataUrls } from "./manifest.js";
+import { BaseChart } from "./BaseChart.js";
+import { html, link } from "./template.js";
 
 /**
  * MapDotPlot - Trade deals visualization with map-to-scatter transition
@@ -13,20 +15,30 @@ import { CONFIG } from "./config.js";
  * - Result: Map fits comfortably, scatter uses full screen for readability
  */
 
-export class MapDotPlot {
+export class MapDotPlot extends BaseChart {
   constructor(container) {
-    this.isMobile = window.innerWidth <= 768;
-    this.container = container;
-
-    // Get container dimensions
-    const containerRect = container.getBoundingClientRect();
-    this.width = Math.floor(containerRect.width);
-    // On mobile, use viewport height instead of container height for scatter legibility
-    // On desktop, use 80% of container height
-    this.height = this.isMobile
-      ? Math.floor(window.innerHeight * 0.85) // Use most of viewport on mobile
-      : Math.floor(containerRect.height * 0.8);
+    super(container);
+
+    // Cards declare the view (data-view="map" | "transition" | "scatter")
+    // and the deal type they highlight in scatter view (data-highlight)
+    this.registerSteps("mapdot", {
+      enter: (step, card) =>
+        this.enterStep(step, {
+          view: card.dataset.view,
+          type: card.dataset.highlight,
+        }),
+      progress: (step, progress, card) =>
+        this.scrubStep(step, progress, card.dataset.view),
+    });
+  }
+
+  // On mobile, most of the viewport height for scatter legibility; on
+  // desktop, 80% of the mount's height
+  defaultSize() {
+    return { width: "full", height: this.isMobile ? "85vh" : () => "80%" };
+  }
 
+  setDimensions() {
     this.margin = this.isMobile
       ? { top: 60, right: 150, bottom: 20, left: 10 }
       : { top: 300, right: 300, bottom: 0, left: 0 };
@@ -37,62 +49,31 @@ export class MapDotPlot {
     this.scatterOffsetY = this.isMobile
       ? 0
       : (this.height - this.scatterHeight) / 2;
-
-    this.isScatterView = false;
-    this.scrollAnimationActive = false;
-    this.currentTransitionCard = null;
-    this.transitionDirection = null;
-    this.rafId = null;
-
-    this.init();
-
-    window.addEventListener("resize", () => {
-      this.isMobile = window.innerWidth <= 768;
-      const containerRect = this.container.getBoundingClientRect();
-      this.width = Math.floor(containerRect.width);
-      // On mobile, use viewport height instead of container height
-      this.height = this.isMobile
-        ? Math.floor(window.innerHeight * 0.85)
-        : Math.floor(containerRect.height * 0.8);
-
-      this.margin = this.isMobile
-        ? { top: 60, right: 150, bottom: 20, left: 10 }
-        : { top: 300, right: 300, bottom: 0, left: 0 };
-
-      this.scatterWidth = this.width * 0.9;
-      this.scatterHeight = this.height * 0.9;
-      this.scatterOffsetX = (this.width - this.scatterWidth) / 2;
-      this.scatterOffsetY = this.isMobile
-        ? 0
-        : (this.height - this.scatterHeight) / 2;
-      this.resize();
-    });
-
-    this.stepTypeMap = {
-      3: "Tariff and market access",
-      4: "Economic security",
-      5: "Buy/invest American",
-    };
-  }
-
-  async init() {
-    await this.loadData();
-    this.setupProjection();
-    this.setupScales();
-    this.createSVG();
-    this.setupElements();
   }
 
   async loadData() {
     try {
-      const [geoData, worldData] = await Promise.all([
-        d3.json(`${CONFIG.BASE_URL}/trade_sf.geojson`),
-        d3.json("https://unpkg.com/world-atlas@2/land-110m.json"),
+      const urls = dataUrls("mapdot", this.container);
+      const [geoData, worldData, sources] = await Promise.all([
+        d3.json(urls.deals),
+        d3.json(urls.land),
+        d3.csv(urls.sources),
       ]);
 
       this.geoData = geoData;
       this.worldData = worldData;
 
+      // Link each deal to its source (trade.csv Text), matched on the title
+      // as its line breaks differ between the two files
+      const normalize = (title) => (title || "").replace(/\s+/g, " ").trim();
+      const sourceByTitle = new Map(
+        sources.map((d) => [normalize(d.Title), d.Text]),
+      );
+      geoData.features.forEach((d) => {
+        d.properties.source =
+          sourceByTitle.get(normalize(d.properties.Title)) ?? null;
+      });
+
       this.countries = [
         ...new Set(geoData.features.map((d) => d.properties.country)),
       ].sort();
@@ -126,6 +107,36 @@ export class MapDotPlot {
     }
   }
 
+  isEmpty() {
+    return !this.geoData.features.length;
+  }
+
+  describe() {
+    const { t } = this.locale;
+    return {
+      title: t("mapdot.title"),
+      description: t("mapdot.description"),
+    };
+  }
+
+  // One row per deal component
+  tableData() {
+    const { t, label } = this.locale;
+    return {
+      columns: [
+        { key: "country", label: t("columns.country") },
+        { key: "Date", label: t("columns.date") },
+        {
+          key: "type",
+          label: t("columns.type"),
+          format: (v) => label("dealType", v),
+        },
+        { key: "name", label: t("columns.component") },
+      ],
+      rows: this.geoData.features.map((d) => d.properties),
+    };
+  }
+
   setupProjection() {
     this.projection = d3
       .geoEqualEarth()
@@ -136,6 +147,8 @@ export class MapDotPlot {
   }
 
   setupScales() {
+    this.setupProjection();
+
     this.xScale = d3
       .scalePoint()
       .domain(this.countries)
@@ -160,31 +173,27 @@ export class MapDotPlot {
       .range(["#1d3956", "#df3144", "#309ebe", "#a41e26", "#33163a"]);
   }
 
-  createSVG() {
-    // Use viewBox for proper scaling (like DotMapPlot)
-    this.svg = d3
-      .select(this.container)
-      .append("svg")
-      .attr("viewBox", `0 0 ${this.width} ${this.height}`)
-      .style("width", "100%")
-      // On mobile, set explicit pixel height to use viewport height
-      // On desktop, use 100% to fill container
-      .style("height", this.isMobile ? `${this.height}px` : "100%");
-  }
-
   setupElements() {
+    this.isScatterView = false;
+    // Position of the dots between map (0) and scatter (1)
+    this.transitionProgress = 0;
+
     this.setupMap();
     this.setupAxes();
     this.setupDataPoints();
-    this.setupTooltip();
+    this.enableKeyboardNav(this.dots, {
+      compare: (a, b) =>
+        d3.ascending(a.properties.country, b.properties.country) ||
+        d3.ascending(a.properties.name, b.properties.name),
+    });
 
-    this.titleText = this.svg
+    this.titleText = this.overlay
       .append("text")
       .attr("class", "viz-title")
       .attr("x", this.width)
       .attr("y", this.isMobile ? 25 : this.margin.top - this.margin.top * 0.75)
       // Distance from top of chart
-      .text("US trade deals under Trump 2.0");
+      .text(this.locale.t("mapdot.title"));
   }
 
   setupMap() {
@@ -220,13 +229,15 @@ export class MapDotPlot {
         .attr("stroke-width", 0.5)
         .style("pointer-events", "auto")
         .style("cursor", "pointer")
-        .on("mouseover", (event, d) => this.showTooltip(event, d))
+        .on("mouseover", (event, d) =>
+          this.showTooltip(event, this.tooltipContent(d)),
+        )
         .on("mouseout", () => this.hideTooltip());
     });
   }
 
   setupAxes() {
-    this.axesGroup = this.svg.append("g").style("opacity", 0);
+    this.axesGroup = this.overlay.append("g").style("opacity", 0);
 
     const xAxisY = this.isMobile ? this.margin.top : this.scatterOffsetY + 50;
 
@@ -308,12 +319,7 @@ export class MapDotPlot {
   }
 
   setupDataPoints() {
-    this.dots = this.svg
-      .selectAll(".trade-dot")
-      .data(this.geoData.features)
-      .enter()
-      .append("circle")
-      .attr("class", "trade-dot")
+    this.dots = this.appendDots("trade-dot", this.geoData.features)
       .attr("r", this.isMobile ? 3 : 5)
       .attr(
         "cx",
@@ -329,173 +335,24 @@ export class MapDotPlot {
       .style("opacity", 1)
       .style("pointer-events", "none")
       .style("cursor", "pointer")
-      .on("mouseover", (event, d) => this.showTooltip(event, d))
+      .on("mouseover", (event, d) =>
+        this.showTooltip(event, this.tooltipContent(d)),
+      )
       .on("mouseout", () => this.hideTooltip());
   }
 
-  setupTooltip() {
-    this.tooltip = d3
-      .select("body")
-      .append("div")
-      .attr("class", "tooltip")
-      .style("position", "absolute")
-      .style("padding", "10px")
-      .style("background", "#fff")
-      .style("border", "1px solid #ccc")
-      .style("border-radius", "4px")
-      .style("pointer-events", "none")
-      .style("opacity", 0)
-      .style("z-index", 1000);
-  }
-
-  showTooltip(event, d) {
+  tooltipContent(d) {
     const props = d.properties;
     if (this.isScatterView) {
-      this.tooltip
-        .style("opacity", 1)
-        .html(`<strong>${props.country}</strong><br/>${props.name}`)
-        .style("left", event.pageX + 10 + "px")
-        .style("top", event.pageY - 10 + "px");
-    } else {
-      this.tooltip
-        .style("opacity", 1)
-        .html(`<strong>${props.country}</strong>`)
-        .style("left", event.pageX + 10 + "px")
-        .style("top", event.pageY - 10 + "px");
+      const source =
+        props.source &&
+        html`<br/>${link(props.source, this.locale.t("mapdot.source"))}`;
+      return html`<strong>${props.country}</strong><br/>${props.name}${source}`;
     }
+    return html`<strong>${props.country}</strong>`;
   }
 
-  hideTooltip() {
-    this.tooltip.style("opacity", 0);
-  }
-
-  resize() {
-    this.isMobile = window.innerWidth <= 768;
-    this.svg.attr("viewBox", `0 0 ${this.width} ${this.height}`);
-    // Update SVG height style based on mobile state
-    this.svg.style("height", this.isMobile ? `${this.height}px` : "100%");
-
-    this.projection
-      .scale(this.isMobile ? this.width / 5 : this.width / 6)
-      .translate([this.width / 2, this.height / 2]);
-
-    this.xScale.range([this.margin.left, this.width - this.margin.right]);
-
-    // Update yScale with mobile-aware range
-    const yStart = this.isMobile ? this.margin.top : this.scatterOffsetY + 50;
-    const yEnd = this.isMobile
-      ? this.height - this.margin.bottom
-      : this.scatterOffsetY + this.scatterHeight;
-    this.yScale.range([yStart, yEnd]);
-
-    this.land.attr("d", this.path);
-    this.countriesGroup.selectAll(".trade-country").attr("d", this.path);
-
-    const xAxisY = this.isMobile ? this.margin.top : this.scatterOffsetY + 50;
-    this.xAxisGroup
-      .attr("transform", `translate(0, ${xAxisY})`)
-      .call(d3.axisTop(this.xScale));
-    this.xAxisGroup
-      .selectAll("text")
-      .attr("transform", "rotate(-45)")
-      .style("text-anchor", "start")
-      .attr("dx", this.isMobile ? ".75em" : "0em")
-      .attr("dy", this.isMobile ? ".25em" : "-0.5em")
-      .style("font-size", this.isMobile ? "10px" : "12px")
-      .style("fill", "#666");
-
-    this.yAxisGroup.call(d3.axisLeft(this.yScale));
-    this.axesGroup.selectAll(".domain").remove();
-    this.axesGroup.selectAll(".tick line").remove();
-    this.yAxisGroup
-      .selectAll(".tick text")
-      .attr(
-        "x",
-        this.isMobile ? this.margin.left : this.width - this.margin.right,
-      )
-      .attr("dy", this.isMobile ? "-1.25em" : ".25em")
-      .style("text-anchor", "start")
-      .style("font-size", this.isMobile ? "10px" : "12px")
-      .style("fill", "#666");
-
-    this.gridlinesGroup
-      .selectAll(".grid-vertical")
-      .attr("x1", (d) => this.xScale(d))
-      .attr("x2", (d) => this.xScale(d))
-      .attr("y1", yStart)
-      .attr("y2", yEnd);
-
-    this.gridlinesGroup
-      .selectAll(".grid-horizontal")
-      .attr("x1", this.margin.left)
-      .attr("x2", this.width - this.margin.right)
-      .attr("y1", (d) => this.yScale(d))
-      .attr("y2", (d) => this.yScale(d));
-
-    if (this.isScatterView) {
-      this.dots
-        .attr("cx", (d) => this.xScale(d.properties.country))
-        .attr("cy", (d) => this.yScale(d.properties.name));
-    } else {
-      this.dots
-        .attr(
-          "cx",
-          (d) => this.projection([d.properties.lon, d.properties.lat])[0],
-        )
-        .attr(
-          "cy",
-          (d) => this.projection([d.properties.lon, d.properties.lat])[1],
-        );
-    }
-
-    this.titleText
-      .attr("x", this.width)
-      .attr("y", this.isMobile ? 25 : this.margin.top - this.margin.top * 0.75);
-  }
-
-  toggleView(isScatter, step) {
-    this.isScatterView = isScatter;
-
-    if (isScatter) {
-      this.dots
-        .style("pointer-events", "auto")
-        .transition()
-        .duration(1000)
-        .attr("cx", (d) => this.xScale(d.properties.country))
-        .attr("cy", (d) => this.yScale(d.properties.name))
-        .attr("r", this.isMobile ? 3 : 5)
-        .attr("fill", (d) => this.colorScale(d.properties.type))
-        .style("opacity", 1);
-
-      this.countriesGroup.style("pointer-events", "none");
-      this.mapGroup.transition().duration(1000).style("opacity", 0);
-      this.axesGroup.transition().duration(1000).style("opacity", 1);
-    } else {
-      this.dots
-        .style("pointer-events", "none")
-        .transition()
-        .duration(1000)
-        .attr(
-          "cx",
-          (d) => this.projection([d.properties.lon, d.properties.lat])[0],
-        )
-        .attr(
-          "cy",
-          (d) => this.projection([d.properties.lon, d.properties.lat])[1],
-        )
-        .attr("r", this.isMobile ? 3 : 5)
-        .attr("fill", "#595959")
-        .style("opacity", 1);
-
-      this.countriesGroup.style("pointer-events", "auto");
-      this.mapGroup.transition().duration(1000).style("opacity", 1);
-      this.axesGroup.transition().duration(1000).style("opacity", 0);
-    }
-  }
-
-  highlightTypeByStep(step) {
-    const activeType = this.stepTypeMap[step];
-
+  highlightType(activeType) {
     if (!activeType) {
       this.dots
         .transition()
@@ -514,108 +371,55 @@ export class MapDotPlot {
       );
   }
 
-  setTransitionProgress(isScatter, progress) {
-    progress = Math.max(0, Math.min(1, progress));
-    this.isScatterView = isScatter;
+  // Scroll-scrubbed transition (0 = map, 1 = scatter)
+  setTransitionProgress(progress) {
+    this.scrub(progress, (t, between) => {
+      this.isScatterView = t > 0.5;
 
-    // Enable pointer-events on dots when mostly in scatter view
-    this.dots.style(
-      "pointer-events",
-      isScatter && progress > 0.8 ? "auto" : "none",
-    );
+      // Enable pointer-events on dots when mostly in scatter view
+      this.dots.style("pointer-events", t > 0.8 ? "auto" : "none");
 
-    // Disable pointer-events on countries when in scatter view
-    this.countriesGroup.style(
-      "pointer-events",
-      isScatter && progress > 0.2 ? "none" : "auto",
-    );
+      // Disable pointer-events on countries when in scatter view
+      this.countriesGroup.style("pointer-events", t > 0.2 ? "none" : "auto");
 
-    if (isScatter) {
-      this.dots
-        .attr("cx", (d) => {
-          const startX = this.projection([
-            d.properties.lon,
-            d.properties.lat,
-          ])[0];
-          const endX = this.xScale(d.properties.country);
-          return d3.interpolate(startX, endX)(progress);
-        })
-        .attr("cy", (d) => {
-          const startY = this.projection([
-            d.properties.lon,
-            d.properties.lat,
-          ])[1];
-          const endY = this.yScale(d.properties.name);
-          return d3.interpolate(startY, endY)(progress);
-        })
-        .attr("fill", (d) => {
-          const startColor = "#595959";
-          const endColor = this.colorScale(d.properties.type);
-          return d3.interpolateRgb(startColor, endColor)(progress);
-        });
-
-      this.mapGroup.style("opacity", 1 - progress);
-      this.axesGroup.style("opacity", progress);
-    } else {
       this.dots
         .attr("cx", (d) => {
-          const startX = this.xScale(d.properties.country);
-          const endX = this.projection([d.properties.lon, d.properties.lat])[0];
-          return d3.interpolate(startX, endX)(progress);
+          const [x] = this.projection([d.properties.lon, d.properties.lat]);
+          return between(x, this.xScale(d.properties.country));
         })
         .attr("cy", (d) => {
-          const startY = this.yScale(d.properties.name);
-          const endY = this.projection([d.properties.lon, d.properties.lat])[1];
-          return d3.interpolate(startY, endY)(progress);
+          const [, y] = this.projection([d.properties.lon, d.properties.lat]);
+          return between(y, this.yScale(d.properties.name));
         })
-        .attr("fill", (d) => {
-          const startColor = this.colorScale(d.properties.type);
-          const endColor = "#595959";
-          return d3.interpolateRgb(startColor, endColor)(progress);
-        });
-
-      this.mapGroup.style("opacity", progress);
-      this.axesGroup.style("opacity", 1 - progress);
-    }
-  }
+        .attr("fill", (d) =>
+          between("#595959", this.colorScale(d.properties.type)),
+        );
 
-  calculateScrollProgress(card) {
-    const rect = card.getBoundingClientRect();
-    const viewportHeight = window.innerHeight;
-    const cardTop = rect.top;
-    const startY = viewportHeight * 0.8;
-    const endY = viewportHeight * 0.2;
-    let progress = (startY - cardTop) / (startY - endY);
-    return Math.max(0, Math.min(1, progress));
+      this.mapGroup.style("opacity", 1 - t);
+      this.axesGroup.style("opacity", t);
+    });
   }
 
-  updateScrollAnimation() {
-    if (!this.scrollAnimationActive || !this.currentTransitionCard) return;
-    const progress = this.calculateScrollProgress(this.currentTransitionCard);
-    if (this.transitionDirection === "toScatter") {
-      this.setTransitionProgress(true, progress);
-    } else if (this.transitionDirection === "toMap") {
-      this.setTransitionProgress(false, progress);
+  enterStep(step, { view = "map", type = null } = {}) {
+    if (view === "map") {
+      // Ensure we're in map view (no-op if already there)
+      this.setTransitionProgress(0);
+      this.highlightType(null);
+    } else if (view === "scatter") {
+      // Ensure we're in scatter view (no-op if already there)
+      this.setTransitionProgress(1);
+
+      // 🔥 Highlight groups by step
+      this.highlightType(type);
     }
-    this.rafId = requestAnimationFrame(() => this.updateScrollAnimation());
+    // "transition": the transition card - scrubbed from map to scatter
   }
 
-  startScrollAnimation(card, direction) {
-    this.stopScrollAnimation();
-    this.scrollAnimationActive = true;
-    this.currentTransitionCard = card;
-    this.transitionDirection = direction;
-    this.updateScrollAnimation();
-  }
-
-  stopScrollAnimation() {
-    this.scrollAnimationActive = false;
-    this.currentTransitionCard = null;
-    this.transitionDirection = null;
-    if (this.rafId) {
-      cancelAnimationFrame(this.rafId);
-      this.rafId = null;
-    }
+  // Called for every card while the section is on screen; only the
+  // transition card drives the dots
+  scrubStep(step, progress, view) {
+    if (view !== "transition") return;
+    this.setTransitionProgress(progress);
   }
 }
 
@@ -1,43 +1,42 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
 import * as topojson from "https://cdn.jsdelivr.net/npm/topojson-client@3/+esm";
-import { CONFIG } from "./config.js";
-
-export class PeaceMap {
+import { dataUrls } from "./manifest.js";
+import { parseList } from "./scrolly.js";
+import { BaseChart } from "./BaseChart.js";
+import { html, rich } from "./template.js";
+import { Legend } from "./Legend.js";
+import { resolveLength } from "./layout.js";
+
+export class PeaceMap extends BaseChart {
   constructor(container) {
-    this.isMobile = window.innerWidth <= 768;
-    this.container = container;
-
-    // Get container dimensions - matching DotMapPlot pattern
-    const containerRect = container.getBoundingClientRect();
-    this.width = Math.floor(containerRect.width);
-    this.height = Math.min(this.width, window.innerHeight);
-
-    this.currentStep = 0;
-
-    this.init();
-
-    window.addEventListener("resize", () => {
-      const containerRect = this.container.getBoundingClientRect();
-      this.width = Math.floor(containerRect.width);
-      this.height = Math.min(this.width, window.innerHeight);
-      this.resize();
+    super(container);
+
+    // Cards declare the conflicts they highlight (data-highlight="A; B")
+    // and whether minerals deals are shown (data-minerals)
+    this.registerSteps("peace", {
+      enter: (step, card) =>
+        this.highlightStep(step, {
+          names: parseList(card.dataset.highlight),
+          minerals: "minerals" in card.dataset,
+        }),
     });
   }
 
-  async init() {
-    await this.loadData();
-    this.setupProjection();
-    this.setupColorScale();
-    this.createSVG();
-    this.setupElements();
+  // Square up to the viewport height
+  defaultSize() {
+    return {
+      width: "full",
+      height: (width) => Math.min(width, resolveLength("100vh")),
+    };
   }
 
   async loadData() {
     try {
+      const urls = dataUrls("peace", this.container);
       const [peaceSf, peaceCountries, worldData] = await Promise.all([
-        d3.json(`${CONFIG.BASE_URL}/peace_sf.geojson`),
-        d3.json(`${CONFIG.BASE_URL}/peace_countries.geojson`),
-        d3.json("https://unpkg.com/world-atlas@2/land-110m.json"),
+        d3.json(urls.conflicts),
+        d3.json(urls.countries),
+        d3.json(urls.land),
       ]);
 
       this.peaceSf = peaceSf;
@@ -54,6 +53,39 @@ export class PeaceMap {
     }
   }
 
+  isEmpty() {
+    return !this.peaceSf.features.length;
+  }
+
+  describe() {
+    const { t } = this.locale;
+    return {
+      title: t("peace.title"),
+      description: t("peace.description"),
+    };
+  }
+
+  tableData() {
+    const { t, label } = this.locale;
+    return {
+      columns: [
+        { key: "name", label: t("columns.conflict") },
+        {
+          key: "res",
+          label: t("columns.resolution"),
+          format: (v) => label("peaceResolution", v),
+        },
+        { key: "role", label: t("columns.role") },
+      ],
+      rows: this.peaceSf.features.map((d) => d.properties),
+    };
+  }
+
+  setupScales() {
+    this.setupProjection();
+    this.setupColorScale();
+  }
+
   setupProjection() {
     this.projection = d3
       .geoOrthographic()
@@ -72,17 +104,10 @@ export class PeaceMap {
       .range(["#309ebe", "#df3144"]);
   }
 
-  createSVG() {
-    // Use viewBox for proper scaling (like DotMapPlot)
-    this.svg = d3
-      .select(this.container)
-      .append("svg")
-      .attr("viewBox", `0 0 ${this.width} ${this.height}`)
-      .style("width", "100%")
-      .style("height", "100%");
-  }
-
   setupElements() {
+    this.currentStep = 0;
+    this.showMinerals = false;
+
     this.land = this.svg
       .append("path")
       .datum(topojson.feature(this.worldData, this.worldData.objects.land))
@@ -135,18 +160,23 @@ export class PeaceMap {
       .attr("stroke", "#fff")
       .attr("stroke-width", 1)
       .style("opacity", (d) => (d.properties.war ? 0.5 : 1))
-      .on("mouseover", (event, d) => this.showTooltip(event, d))
+      .on("mouseover", (event, d) =>
+        this.showTooltip(event, this.tooltipContent(d)),
+      )
       .on("mouseout", () => this.hideTooltip());
 
+    this.enableKeyboardNav(this.dots, {
+      compare: (a, b) => a.geometry.coordinates[0] - b.geometry.coordinates[0],
+    });
+
     this.setupLegend();
-    this.setupTooltip();
 
     this.titleText = this.svg
       .append("text")
       .attr("class", "viz-title")
       .attr("x", this.width)
       .attr("y", this.isMobile ? 20 : 40)
-      .text("The wars Trump claims to have solved");
+      .text(this.locale.t("peace.title"));
   }
 
   setupLegend() {
@@ -165,121 +195,53 @@ export class PeaceMap {
       );
     }
 
-    const legendItems = [
-      {
-        label: "Peace deal/ceasefire reached in 2025",
-        color: "#309ebe",
-        opacity: 1,
-        type: "dot",
-      },
-      {
-        label: "No peace deal/ceasefire reached in 2025",
-        color: "#df3144",
-        opacity: 1,
-        type: "dot",
-      },
-      {
-        label: "No open conflict in 2025",
-        color: "#df3144",
-        opacity: 0.5,
-        type: "dot",
-      },
-      { label: "Minerals deal", color: "#000", opacity: 1, type: "circle" },
-    ];
-
-    legendItems.forEach((item, i) => {
-      const group = this.legend
-        .append("g")
-        .attr("transform", `translate(0, ${i * 15})`);
-
-      if (item.type === "dot") {
-        group
-          .append("circle")
-          .attr("cx", 5)
-          .attr("cy", 0)
-          .attr("r", 5)
-          .attr("fill", item.color)
-          .attr("stroke", "#fff")
-          .attr("stroke-width", 1)
-          .style("opacity", item.opacity);
-      } else if (item.type === "circle") {
-        group
-          .append("circle")
-          .attr("cx", 5)
-          .attr("cy", 0)
-          .attr("r", 10)
-          .attr("fill", "none")
-          .attr("stroke", item.color)
-          .attr("stroke-width", 1);
-      }
-
-      group
-        .append("text")
-        .attr("x", 20)
-        .attr("y", 0)
-        .attr("dy", "0.35em")
-        .style("font-size", "14px")
-        .style("fill", "#595959")
-        .text(item.label);
-
-      if (i === legendItems.length - 1) {
-        this.mineralsLegendItem = group;
-        group.style("opacity", 0);
-      }
+    const { t } = this.locale;
+    this.legendKey = new Legend(this.legend, {
+      items: [
+        { label: t("peace.resolved"), color: "#309ebe", radius: 5 },
+        { label: t("peace.unresolved"), color: "#df3144", radius: 5 },
+        {
+          label: t("peace.noConflict"),
+          color: "#df3144",
+          opacity: 0.5,
+          radius: 5,
+        },
+        { label: t("peace.minerals"), color: "#000", symbol: "ring" },
+      ],
+      width: this.legendWidth(),
+      columns: 1,
     });
+
+    this.mineralsLegendItem = this.legendKey.item(3).style("opacity", 0);
   }
 
-  setupTooltip() {
-    this.tooltip = d3
-      .select("body")
-      .append("div")
-      .attr("class", "tooltip")
-      .style("position", "absolute")
-      .style("padding", "10px")
-      .style("background", "#fff")
-      .style("border", "1px solid #ccc")
-      .style("border-radius", "4px")
-      .style("pointer-events", "none")
-      .style("opacity", 0)
-      .style("z-index", 1000);
+  // Room left for the legend right of (or, on mobile, under) the globe
+  legendWidth() {
+    return this.isMobile ? 200 : this.width * 0.34;
   }
 
-  showTooltip(event, d) {
+  tooltipContent(d) {
+    const { t, label } = this.locale;
     const props = d.properties;
-    let html = `<strong>${props.name}</strong><br/>Resolution: ${props.res}<br/>`;
-    if (this.currentStep < 7 && props.role) {
-      html += `<br/><em>Trump's role:</em><br/>${props.role}`;
+    let detail = null;
+    if (!this.showMinerals && props.role) {
+      detail = html`<br/><em>${t("peace.role")}</em><br/>${rich(props.role)}`;
     } else if (props.min) {
-      html += `<br/><em>Minerals component:</em><br/>${props.min}`;
+      detail = html`<br/><em>${t("peace.mineralsComponent")}</em><br/>${rich(props.min)}`;
     }
-    if (props.war) html += `<em>${props.war}</em>`;
-
-    this.tooltip
-      .style("opacity", 1)
-      .html(html)
-      .style("left", event.pageX + 10 + "px")
-      .style("top", event.pageY - 10 + "px");
-  }
-
-  hideTooltip() {
-    this.tooltip.style("opacity", 0);
+    const war = props.war && html`<em>${rich(props.war)}</em>`;
+    const res = label("peaceResolution", props.res);
+    return html`<strong>${props.name}</strong><br/>${t("peace.resolution")} ${res}<br/>${detail}${war}`;
   }
 
   getUniqueNames() {
     return [...new Set(this.peaceSf.features.map((d) => d.properties.name))];
   }
 
-  highlightStep(step) {
+  highlightStep(step, { names = [], minerals = false } = {}) {
     this.currentStep = step;
-    const stepMapping = {
-      1: ["Israel-Hamas"],
-      2: ["DRC - Rwanda", "Armenia - Azerbaijan"],
-      3: ["Cambodia-Thailand"],
-      4: ["Israel-Iran (12 Day War)"],
-      5: ["India-Pakistan"],
-      6: ["Egypt-Ethiopia Renaissance Dam dispute", "Serbia-Kosovo"],
-    };
-    const highlightedNames = stepMapping[step] || [];
+    this.showMinerals = minerals;
+    const highlightedNames = names;
 
     this.dots
       .transition()
@@ -299,43 +261,14 @@ export class PeaceMap {
       .attr("stroke-width", (d) =>
         highlightedNames.includes(d.properties.name) ? 2 : 1,
       )
-      .style("opacity", step >= 7 ? 1 : 0);
+      .style("opacity", minerals ? 1 : 0);
 
     if (this.mineralsLegendItem) {
       this.mineralsLegendItem
         .transition()
         .duration(500)
-        .style("opacity", step >= 7 ? 1 : 0);
-    }
-  }
-
-  resize() {
-    this.isMobile = window.innerWidth <= 768;
-    this.svg.attr("viewBox", `0 0 ${this.width} ${this.height}`);
-    this.projection
-      .scale(this.width / 2.5)
-      .translate([this.width / 2, this.height / 2]);
-    this.land.attr("d", this.path);
-    this.peaceCountriesGroup.selectAll(".peace-country").attr("d", this.path);
-    this.dots
-      .attr("cx", (d) => this.projection(d.geometry.coordinates)[0])
-      .attr("cy", (d) => this.projection(d.geometry.coordinates)[1]);
-    this.outerCircles
-      .attr("cx", (d) => this.projection(d.geometry.coordinates)[0])
-      .attr("cy", (d) => this.projection(d.geometry.coordinates)[1]);
-    if (this.isMobile) {
-      const legendY = this.height * 0.75;
-      this.legend.attr(
-        "transform",
-        `translate(${this.width / 2 - 100}, ${legendY})`,
-      );
-    } else {
-      this.legend.attr(
-        "transform",
-        `translate(${this.width * 0.66}, ${this.height * 0.7})`,
-      );
+        .style("opacity", minerals ? 1 : 0);
     }
-    this.titleText.attr("x", this.width);
   }
 }
 
@@ -0,0 +1,144 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
+import { render } from "./template.js";
+import { getLocale } from "./i18n.js";
+
+/**
+ * Tooltip - Hover, tap and keyboard tooltip shared by all charts
+ *
+ * getTooltip() returns the page's single tooltip. Content is built with the
+ * html`` template (template.js), which escapes interpolated values, and the
+ * chart's locale (i18n.js) so every chart writes dates and amounts the same
+ * way in the reader's language.
+ *
+ * - Mouse: follows hover (show/hide from the marks' mouseover/mouseout);
+ *   clicking the hovered mark pins it
+ * - Touch: a tap shows the tooltip pinned, a tap outside (or Escape, or the
+ *   close button) dismisses it
+ * - Kept inside the viewport, flipping to the other side of the pointer near
+ *   an edge; on narrow screens it becomes a bottom sheet
+ */
+
+const SHEET_MAX_WIDTH = 480;
+const EDGE_MARGIN = 8;
+const OFFSET = 10;
+
+export class Tooltip {
+  constructor() {
+    this.visible = false;
+    this.pinned = false;
+    this.anchor = null;
+    this.pointerType = "mouse";
+
+    this.node = d3
+      .select("body")
+      .append("div")
+      .attr("class", "tooltip")
+      .attr("role", "tooltip");
+
+    this.content = this.node.append("div").attr("class", "tooltip-content");
+
+    this.node
+      .append("button")
+      .attr("type", "button")
+      .attr("class", "tooltip-close")
+      .attr("aria-label", getLocale().t("tooltip.close"))
+      .text("×")
+      .on("click", () => this.hide(true));
+
+    // Capture phase, so a tap is seen before the marks' own handlers
+    document.addEventListener(
+      "pointerdown",
+      (event) => {
+        this.pointerType = event.pointerType;
+        if (this.pinned && !this.contains(event.target)) this.hide(true);
+      },
+      true,
+    );
+
+    document.addEventListener("click", (event) => {
+      if (this.visible && !this.pinned && this.anchor?.contains(event.target)) {
+        this.pin();
+      }
+    });
+
+    document.addEventListener("keydown", (event) => {
+      this.pointerType = "keyboard";
+      if (event.key === "Escape" && this.visible) this.hide(true);
+    });
+  }
+
+  contains(target) {
+    return (
+      this.node.node().contains(target) ||
+      (this.anchor !== null && this.anchor.contains(target))
+    );
+  }
+
+  // content: html`` markup; plain strings are shown as text
+  show(event, content) {
+    // A pinned tooltip stays until dismissed
+    if (this.pinned) return;
+
+    this.anchor =
+      event.currentTarget instanceof Element ? event.currentTarget : null;
+    this.visible = true;
+    this.content.html(render(content));
+    this.node.classed("tooltip--visible", true);
+    this.position(event);
+
+    // Taps have no hover to follow: keep the tooltip until tapped away
+    if (this.pointerType === "touch" || this.pointerType === "pen") {
+      this.pin();
+    }
+  }
+
+  pin() {
+    this.pinned = true;
+    this.node.classed("tooltip--pinned", true);
+  }
+
+  hide(force = false) {
+    if (this.pinned && !force) return;
+
+    this.visible = false;
+    this.pinned = false;
+    this.anchor = null;
+    this.node
+      .classed("tooltip--visible", false)
+      .classed("tooltip--pinned", false);
+  }
+
+  position(event) {
+    const sheet = window.innerWidth <= SHEET_MAX_WIDTH;
+    this.node.classed("tooltip--sheet", sheet);
+    if (sheet) {
+      this.node.style("left", null).style("top", null);
+      return;
+    }
+
+    const { width, height } = this.node.node().getBoundingClientRect();
+    const minX = window.scrollX + EDGE_MARGIN;
+    const maxX = window.scrollX + window.innerWidth - EDGE_MARGIN;
+    const minY = window.scrollY + EDGE_MARGIN;
+    const maxY = window.scrollY + window.innerHeight - EDGE_MARGIN;
+
+    // Right of and slightly above the pointer, flipped near the edges
+    let left = event.pageX + OFFSET;
+    if (left + width > maxX) left = event.pageX - OFFSET - width;
+    let top = event.pageY - OFFSET;
+    if (top + height > maxY) top = event.pageY + OFFSET - height;
+
+    this.node
+      .style("left", `${Math.max(minX, Math.min(left, maxX - width))}px`)
+      .style("top", `${Math.max(minY, Math.min(top, maxY - height))}px`);
+  }
+}
+
+let shared = null;
+
+export function getTooltip() {
+  if (!shared) shared = new Tooltip();
+  return shared;
+}
+
+export default Tooltip;
@@ -1,56 +1,45 @@
 import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
-import { CONFIG } from "./config.js";
+import { dataUrls } from "./manifest.js";
+import { BaseChart } from "./BaseChart.js";
+import { html } from "./template.js";
+import { Legend, wrapText } from "./Legend.js";
 
-export class TradeChart {
+export class TradeChart extends BaseChart {
   constructor(container) {
-    this.isMobile = window.innerWidth <= 768;
-    this.container = container;
-
-    // Get container dimensions - matching DotMapPlot pattern
-    const containerRect = container.getBoundingClientRect();
-    this.width = Math.floor(containerRect.width);
-    this.height = Math.min(this.width, window.innerHeight * 0.9);
-
-    if (this.isMobile) {
-      this.width = this.container.clientWidth * 2;
-      this.height = window.innerHeight * 1;
-    }
-
-    this.margin = this.isMobile
-      ? { top: 0, right: 10, bottom: 200, left: 40 }
-      : { top: 100, right: 180, bottom: 100, left: 80 };
+    super(container);
 
     this.currentStep = 0;
 
-    this.init();
-
-    window.addEventListener("resize", () => {
-      const containerRect = this.container.getBoundingClientRect();
-      this.width = Math.floor(containerRect.width);
-      this.height = Math.min(this.width, window.innerHeight * 0.9);
-      this.resize();
+    // Cards declare the month they highlight (data-date="2025-03")
+    this.registerSteps("trade", {
+      enter: (step, card) =>
+        this.highlightDate(step, d3.timeParse("%Y-%m")(card.dataset.date)),
     });
   }
 
-  async init() {
-    await this.loadData();
-    this.setupScales();
-    this.setupColorScale();
-    this.createSVG();
-    this.setupElements();
-    this.setupTooltip();
+  // Full viewport height on mobile
+  defaultSize() {
+    const size = super.defaultSize();
+    return this.isMobile ? { ...size, height: () => "100vh" } : size;
+  }
+
+  setDimensions() {
+    // Drawn at twice the column width on mobile, then scaled down
+    if (this.isMobile) this.width = this.width * 2;
+
+    this.margin = this.isMobile
+      ? { top: 0, right: 10, bottom: 200, left: 40 }
+      : { top: 100, right: 180, bottom: 100, left: 80 };
   }
 
   async loadData() {
     try {
-      const volumeData = await d3.csv(
-        `${CONFIG.BASE_URL}/trade_vol_long.csv`,
-        (d) => ({
-          date: d3.timeParse("%Y-%m-%d")(d.date),
-          name: d.name,
-          value: +d.value,
-        }),
-      );
+      const urls = dataUrls("trade", this.container);
+      const volumeData = await d3.csv(urls.volume, (d) => ({
+        date: d3.timeParse("%Y-%m-%d")(d.date),
+        name: d.name,
+        value: +d.value,
+      }));
 
       this.volumeData = volumeData;
       this.categories = [...new Set(volumeData.map((d) => d.name))];
@@ -86,6 +75,39 @@ export class TradeChart {
     }
   }
 
+  isEmpty() {
+    return !this.volumeData.length;
+  }
+
+  describe() {
+    const { t } = this.locale;
+    return {
+      title: t("trade.title"),
+      description: t("trade.description"),
+    };
+  }
+
+  tableData() {
+    const { t, label, formatMonth, formatBillions } = this.locale;
+    return {
+      columns: [
+        { key: "date", label: t("columns.month"), format: formatMonth },
+        {
+          key: "name",
+          label: t("columns.product"),
+          format: (v) => label("tradeCategory", v),
+        },
+        {
+          key: "value",
+          label: t("columns.value"),
+          numeric: true,
+          format: (v) => formatBillions(v, "€"),
+        },
+      ],
+      rows: this.volumeData,
+    };
+  }
+
   setupScales() {
     this.yScale = d3
       .scaleBand()
@@ -105,6 +127,8 @@ export class TradeChart {
       .domain([minValue, maxValue])
       .range([this.margin.left, this.width - this.margin.right])
       .nice();
+
+    this.setupColorScale();
   }
 
   setupColorScale() {
@@ -122,98 +146,64 @@ export class TradeChart {
       ]);
   }
 
-  createSVG() {
-    // Use viewBox for proper scaling (like DotMapPlot)
-    this.svg = d3
-      .select(this.container)
-      .append("svg")
-      .attr("viewBox", `0 0 ${this.width} ${this.height}`)
-      .style("width", "100%")
-      .style("height", "100%");
-  }
-
   setupElements() {
     this.chartGroup = this.svg.append("g");
     this.setupLegend();
     this.setupAxes();
     this.drawBars();
+    this.enableKeyboardNav(this.barsGroup.selectAll("rect"), {
+      compare: (a, b) => a.data.date - b.data.date,
+      content: (d, node) =>
+        this.tooltipContent(d, d3.select(node.parentNode).datum().key),
+    });
 
     this.titleText = this.svg
       .append("text")
       .attr("class", "viz-title")
       .attr("x", this.width)
       .attr("y", this.isMobile ? 20 : 50)
-      .text("US-EU trade balance over time");
+      .text(this.locale.t("trade.title"));
   }
 
   setupLegend() {
-    const legendGroup = this.svg
-      .append("g")
-      .attr("class", "legend")
-      .attr(
-        "transform",
-        this.isMobile
-          ? `translate(${this.margin.left + -40}, ${this.height - this.margin.bottom + 50})`
-          : `translate(${this.width - 18}, ${this.height * 0.33})`,
-      );
-
-    this.categories.forEach((category, i) => {
-      const group = legendGroup
-        .append("g")
-        .attr("transform", `translate(0, ${i * 22})`);
-      group
-        .append("circle")
-        .attr("cx", 12)
-        .attr("cy", 8)
-        .attr("r", 6)
-        .attr("fill", this.colorScale(category));
-
-      // special handling for long category name on mobile
-      const text = group
-        .append("text")
-        .attr("x", this.isMobile ? 25 : -5)
-        .attr("y", 12)
-        .style("font-size", "14px")
-        .style("fill", "#595959")
-        .attr("text-anchor", this.isMobile ? "start" : "end");
-
-      if (category === "Net EU imports from the US") {
-        text.append("tspan").text("Net EU imports");
-        text
-          .append("tspan")
-          .attr("x", 24)
-          .attr("dy", "1.1em")
-          .text("from the US");
-      } else {
-        text.text(category);
-      }
+    this.legendGroup = this.svg.append("g").attr("class", "legend");
+
+    this.legendKey = new Legend(this.legendGroup, {
+      items: this.categories.map((category) => ({
+        label: this.locale.label("tradeCategory", category),
+        color: this.colorScale(category),
+      })),
+      width: this.legendWidth(),
+      align: "end",
     });
 
-    const explanationY = this.categories.length * 22 + 15;
-    legendGroup
+    this.explanation = this.legendGroup
       .append("text")
-      .attr("x", 12)
-      .attr("y", explanationY)
       .attr("text-anchor", "end")
       .style("font-size", "12px")
       .style("fill", "#666")
-      .style("font-style", "italic")
-      .each(function () {
-        const text = d3.select(this);
-        const lines = [
-          "Positive values indicate net EU exports to the US;",
-          "negative values indicate net imports from",
-          "the US to the EU.",
-        ];
-        lines.forEach((line, i) => {
-          text
-            .append("tspan")
-            .attr("x", 12)
-            .attr("dy", i === 0 ? 0 : "1.2em")
-            .attr("text-anchor", this.isMobile ? "start" : "end")
-            .text(line);
-        });
-      });
+      .style("font-style", "italic");
+
+    this.placeLegend();
+  }
+
+  // Right margin on desktop, the full width under the chart on mobile
+  legendWidth() {
+    return this.isMobile ? this.width - 20 : 260;
+  }
+
+  placeLegend() {
+    const width = this.legendWidth();
+    this.legendGroup.attr(
+      "transform",
+      this.isMobile
+        ? `translate(10, ${this.height - this.margin.bottom + 50})`
+        : `translate(${this.width - width}, ${this.height * 0.33})`,
+    );
+
+    const { height } = this.legendKey.layout(width);
+    this.explanation.attr("x", width).attr("y", height + 20);
+    wrapText(this.explanation, this.locale.t("trade.explanation"), width);
   }
 
   setupAxes() {
@@ -224,7 +214,9 @@ export class TradeChart {
         "transform",
         `translate(0, ${this.height - this.margin.bottom + 20})`,
       )
-      .call(d3.axisBottom(this.xScale).ticks(6));
+      .call(
+        d3.axisBottom(this.xScale).ticks(6).tickFormat(this.locale.format(",")),
+      );
 
     const tickDates = this.dates.filter((d, i) => i % 6 === 0);
 
@@ -236,7 +228,7 @@ export class TradeChart {
         d3
           .axisLeft(this.yScale)
           .tickValues(tickDates)
-          .tickFormat(d3.timeFormat("%b %Y")),
+          .tickFormat(this.locale.timeFormat("%b %Y")),
       );
 
     this.svg.selectAll(".domain").remove();
@@ -273,51 +265,21 @@ export class TradeChart {
       .style("cursor", "pointer")
       .on("mouseover", (event, d) => {
         const layer = d3.select(event.currentTarget.parentNode).datum();
-        this.showTooltip(event, d, layer.key);
+        this.showTooltip(event, this.tooltipContent(d, layer.key));
       })
       .on("mouseout", () => this.hideTooltip());
   }
 
-  setupTooltip() {
-    this.tooltip = d3
-      .select("body")
-      .append("div")
-      .attr("class", "tooltip")
-      .style("position", "absolute")
-      .style("padding", "10px")
-      .style("background", "#fff")
-      .style("border", "1px solid #ccc")
-      .style("border-radius", "4px")
-      .style("pointer-events", "none")
-      .style("opacity", 0)
-      .style("z-index", 1000);
-  }
-
-  showTooltip(event, d, name) {
-    const date = d.data.date;
-    const formattedDate = d3.timeFormat("%B %Y")(date);
-    const value = d.data[name];
-
-    this.tooltip
-      .style("opacity", 1)
-      .html(
-        `<strong>${name}</strong><br/>€${Math.round(value * 10) / 10} billion<br/><i>${formattedDate}</i>`,
-      )
-      .style("left", event.pageX + 10 + "px")
-      .style("top", event.pageY - 10 + "px");
-  }
+  tooltipContent(d, name) {
+    const { label, formatBillions, formatMonth } = this.locale;
+    const value = formatBillions(d.data[name], "€");
+    const month = formatMonth(d.data.date);
 
-  hideTooltip() {
-    this.tooltip.style("opacity", 0);
+    return html`<strong>${label("tradeCategory", name)}</strong><br/>${value}<br/><i>${month}</i>`;
   }
 
-  highlightDate(step) {
+  highlightDate(step, targetDate = null) {
     this.currentStep = step;
-    const targetDates = {
-      1: new Date("2025-03-01"),
-      2: new Date("2025-09-01"),
-    };
-    const targetDate = targetDates[step];
 
     if (targetDate) {
       this.chartGroup
@@ -339,56 +301,6 @@ export class TradeChart {
         .style("opacity", 1);
     }
   }
-
-  resize() {
-    this.isMobile = window.innerWidth <= 768;
-
-    if (this.isMobile) {
-      this.width = this.container.clientWidth * 0.9;
-      this.height = window.innerHeight * 0.5;
-      this.margin = { top: 20, right: 20, bottom: 220, left: 40 };
-    } else {
-      this.width = this.container.clientWidth;
-      this.height = Math.min(this.width, window.innerHeight * 0.9);
-      this.margin = { top: 100, right: 180, bottom: 100, left: 80 };
-    }
-
-    this.svg.attr("viewBox", `0 0 ${this.width} ${this.height}`);
-
-    this.xScale.range([this.margin.left, this.width - this.margin.right]);
-    this.yScale.range([this.margin.top, this.height - this.margin.bottom]);
-
-    this.xAxisGroup
-      .attr("transform", `translate(0, ${this.height - this.margin.bottom})`)
-      .call(d3.axisBottom(this.xScale).ticks(6).tickFormat(d3.format(".2s")));
-
-    const tickDates = this.dates.filter((d, i) => i % 6 === 0);
-    this.yAxisGroup.call(
-      d3
-        .axisLeft(this.yScale)
-        .tickValues(tickDates)
-        .tickFormat(d3.timeFormat("%b %Y")),
-    );
-
-    // legend positioning
-    this.svg
-      .select(".legend")
-      .attr(
-        "transform",
-        this.isMobile
-          ? `translate(${this.margin.left + -40}, ${this.height - this.margin.bottom + 30})`
-          : `translate(${this.width - 18}, ${this.height * 0.33})`,
-      );
-
-    this.chartGroup
-      .selectAll(".trade-bar")
-      .attr("x", (d) => this.xScale(d[0]))
-      .attr("y", (d) => this.yScale(d.data.date))
-      .attr("width", (d) => this.xScale(d[1]) - this.xScale(d[0]))
-      .attr("height", this.yScale.bandwidth());
-
-    this.titleText.attr("x", this.width).attr("y", this.isMobile ? 20 : 20);
-  }
 }
 
 export default TradeChart;
@@ -0,0 +1,88 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
+
+// a11y.js - Screen-reader and keyboard support shared by the charts
+
+let liveRegion = null;
+let uid = 0;
+
+// One polite live region for the page, announcing tooltip content
+export function announce(text) {
+  if (!liveRegion) {
+    liveRegion = d3
+      .select("body")
+      .append("div")
+      .attr("class", "visually-hidden")
+      .attr("aria-live", "polite")
+      .attr("aria-atomic", "true");
+  }
+  liveRegion.text(text);
+}
+
+// Plain text of a tooltip's markup, for labels and announcements
+export function toPlainText(html) {
+  // Parsed in an inert <template>, so nothing in it loads or runs
+  const template = document.createElement("template");
+  template.innerHTML = String(html).replace(/<br\s*\/?>/gi, ". ");
+  return template.content.textContent
+    .replace(/\s+/g, " ")
+    .replace(/(\. )+/g, ". ")
+    .trim();
+}
+
+// Accessible name and description for a chart's SVG
+export function describeSVG(svg, { title, description }) {
+  const id = `chart-${++uid}`;
+
+  svg
+    .attr("role", "group")
+    .attr("aria-labelledby", `${id}-title`)
+    .attr("aria-describedby", description ? `${id}-desc` : null);
+
+  if (description) {
+    svg
+      .insert("desc", ":first-child")
+      .attr("id", `${id}-desc`)
+      .text(description);
+  }
+  svg.insert("title", ":first-child").attr("id", `${id}-title`).text(title);
+}
+
+// Whether a mark is drawn (not faded out itself or through a parent)
+export function isShown(node) {
+  for (let el = node; el && el.tagName !== "svg"; el = el.parentNode) {
+    if (+getComputedStyle(el).opacity === 0) return false;
+  }
+  return true;
+}
+
+// Page position next to a mark, where its tooltip goes on focus
+export function focusPoint(node) {
+  const rect = node.getBoundingClientRect();
+  return {
+    pageX: rect.right + window.scrollX,
+    pageY: rect.top + window.scrollY,
+  };
+}
+
+const NEXT_KEYS = ["ArrowRight", "ArrowDown"];
+const PREVIOUS_KEYS = ["ArrowLeft", "ArrowUp"];
+
+// Index of the next item in a direction, skipping hidden ones
+export function stepIndex(key, index, count, isVisible) {
+  let step;
+  if (NEXT_KEYS.includes(key)) step = 1;
+  else if (PREVIOUS_KEYS.includes(key)) step = -1;
+  else if (key === "Home") return findVisible(0, 1, count, isVisible);
+  else if (key === "End") return findVisible(count - 1, -1, count, isVisible);
+  else return null;
+
+  const next = findVisible(index + step, step, count, isVisible);
+  return next === null ? index : next;
+}
+
+function findVisible(from, step, count, isVisible) {
+  for (let i = from; i >= 0 && i < count; i += step) {
+    if (isVisible(i)) return i;
+  }
+  return null;
+}
@@ -1,7 +1,43 @@
-// config.js - Toggle between local and production
+// config.js - Where the page loads its data from
+//
+// The data is published next to the scripts, so by default the base URL is
+// this module's own directory: a local checkout, the staging build and the
+// production build behind the CMS embed all work without edits.
+// Overrides, strongest first:
+//   ?base-url=<url>          query parameter on the page, local and staging
+//                            only, so a crafted link can't swap the data of
+//                            the published page
+//   data-base-url="<url>"    attribute on a chart mount (or any ancestor)
+// Relative values such as "." resolve against the page.
+
+const PRODUCTION_URL =
+  "https://euissr.github.io/commentary_2026_02-GS-Trump-II/";
+const STAGING_URL = `${PRODUCTION_URL}staging/`;
+
+const MODULE_URL = new URL(".", import.meta.url).href;
+
+// "local", "staging" or "production" (any other deployment, to be safe)
+function detectEnv(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol === "file:" || ["localhost", "127.0.0.1"].includes(hostname)) {
+    return "local";
+  }
+  return url.startsWith(STAGING_URL) ? "staging" : "production";
+}
+
 export const CONFIG = {
-  // For local development: set to empty string
-  // BASE_URL: ".", // Change to "" for local dev
-  // For production: set to your GitHub Pages URL
-  BASE_URL: "https://euissr.github.io/commentary_2026_02-GS-Trump-II",
+  ENV: detectEnv(MODULE_URL),
+  BASE_URL: MODULE_URL,
 };
+
+export function getBaseUrl(container = null) {
+  if (CONFIG.ENV !== "production") {
+    const param = new URLSearchParams(window.location.search).get("base-url");
+    if (param) return param;
+  }
+
+  const host = container?.closest("[data-base-url]");
+  if (host) return host.dataset.baseUrl;
+
+  return CONFIG.BASE_URL;
+}
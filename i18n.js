@@ -0,0 +1,81 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
+import en from "./locales/en.js";
+import fr from "./locales/fr.js";
+
+// i18n.js - Chart strings, dates and numbers in the reader's language
+//
+// The language is the closest lang attribute of the chart mount (lang="fr"
+// on the embed) or of the page, with one bundle per language in locales/.
+// Languages without a bundle get English, as do keys a bundle is missing.
+// Each bundle holds:
+//   time, number   d3.timeFormatLocale / d3.formatLocale definitions
+//   formats        d3 time specifiers for full dates and months
+//   strings        UI text by chart, with {name} placeholders
+//   labels         translations of category values found in the data
+
+const BUNDLES = { en, fr };
+const DEFAULT_LANG = "en";
+
+const locales = new Map();
+
+// "fr" for lang="fr-BE", the default for languages without a bundle
+export function getLang(container = null) {
+  const tag =
+    container?.closest("[lang]")?.lang || document.documentElement.lang || "";
+  const lang = tag.toLowerCase().split("-")[0];
+  return lang in BUNDLES ? lang : DEFAULT_LANG;
+}
+
+// Strings and formatters for a chart mount (or the page, without one)
+export function getLocale(container = null) {
+  const lang = getLang(container);
+  if (!locales.has(lang)) locales.set(lang, createLocale(lang));
+  return locales.get(lang);
+}
+
+function lookup(strings, key) {
+  const value = key.split(".").reduce((node, part) => node?.[part], strings);
+  return typeof value === "string" ? value : null;
+}
+
+function createLocale(lang) {
+  const bundle = BUNDLES[lang];
+  const time = d3.timeFormatLocale(bundle.time);
+  const number = d3.formatLocale(bundle.number);
+  const formatDecimal = number.format(".1f");
+  const formatInteger = number.format(",");
+
+  // t("dotmap.strikes", { count: 3 }) → "3 strikes"
+  function t(key, params = {}) {
+    const template =
+      lookup(bundle.strings, key) ?? lookup(en.strings, key) ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      name in params ? params[name] : match,
+    );
+  }
+
+  return {
+    lang,
+    t,
+
+    // A category value from the data, translated when the bundle lists it
+    label(group, value) {
+      return bundle.labels[group]?.[value] ?? value;
+    },
+
+    format: number.format,
+    timeFormat: time.format,
+    formatDate: time.format(bundle.formats.date),
+    formatMonth: time.format(bundle.formats.month),
+    formatNumber: formatInteger,
+
+    formatPercent(value) {
+      return t("format.percent", { value: formatInteger(value) });
+    },
+
+    // Amounts are in billions: formatBillions(12.34, "€") → "€12.3 billion"
+    formatBillions(value, currency = "$") {
+      return t("format.billions", { value: formatDecimal(value), currency });
+    },
+  };
+}
@@ -1,24 +1,75 @@
-// layout.js
-export function getLayoutConfig(container) {
-  const host =
-    container.closest(".field--name-body") ||
-    container.closest("[class^='container-']") ||
-    container.parentElement ||
-    container;
-
-  const rect = host.getBoundingClientRect();
-
-  const widthMode = container.dataset.width || "full";
-  const widthFactor = widthMode === "half" ? 0.5 : 1;
-
-  return {
-    width: rect.width * widthFactor,
-    height: rect.height,
-  };
+// layout.js - Chart size from the mount's attributes and its host
+//
+// The width is taken from the editorial column hosting the chart (the Drupal
+// body field, a container-* wrapper or the mount's parent), so charts follow
+// the column rather than the window. Attributes on the mount override the
+// chart's own defaults:
+//   data-width="full" | "half" | "60%" | "480"     share of the column, or px
+//   data-height="66vh" | "80%" | "400"             viewport, mount height or px
+//   data-aspect="16:9" | "1.5"                     width / height
+// Lengths fix the SVG's box to the computed size; a chart's default height
+// given as a function of the width (returning a length) lets the SVG fill
+// its mount instead, the drawing scaled to fit.
+
+const HOST_SELECTORS = [".field--name-body", "[class^='container-']"];
+
+// The element whose width the chart follows
+export function getLayoutHost(container) {
+  for (const selector of HOST_SELECTORS) {
+    const host = container.closest(selector);
+    if (host) return host;
+  }
+  return container.parentElement || container;
+}
+
+// Pixels for a length: "full", "half", "N%" (of `reference`), "Nvh", "Nvw"
+// or a number of pixels
+export function resolveLength(value, reference) {
+  if (typeof value === "number") return value;
+
+  const spec = String(value).trim();
+  if (spec === "full") return reference;
+  if (spec === "half") return reference / 2;
+
+  const number = parseFloat(spec);
+  if (Number.isNaN(number)) return reference;
+  if (spec.endsWith("%")) return (reference * number) / 100;
+  if (spec.endsWith("vh")) return (window.innerHeight * number) / 100;
+  if (spec.endsWith("vw")) return (window.innerWidth * number) / 100;
+  return number;
+}
+
+// "16:9" → 1.78, "1.5" → 1.5 (null when unusable)
+export function parseAspect(value) {
+  const [width, height = 1] = String(value).split(/[:/]/).map(Number);
+  const aspect = width / height;
+  return aspect > 0 && Number.isFinite(aspect) ? aspect : null;
+}
+
+// { width, height } in pixels, plus which of them fix the SVG's box.
+// defaults: { width, height } as lengths, height also as (width) => length
+export function getLayoutConfig(container, defaults = {}) {
+  const rect = getLayoutHost(container).getBoundingClientRect();
+  const data = container.dataset;
+
+  const widthSpec = data.width || defaults.width || "full";
+  const width = resolveLength(widthSpec, rect.width);
+
+  // data-height, then data-aspect, then the chart's default
+  const aspect = data.aspect ? parseAspect(data.aspect) : null;
+  let height = data.height || (aspect && width / aspect) || defaults.height;
+  const fixedHeight = typeof height !== "function";
+  height = resolveLength(
+    fixedHeight ? height ?? "full" : height(width),
+    container.clientHeight,
+  );
+
+  return { width, height, fixedWidth: widthSpec !== "full", fixedHeight };
 }
 
 // 🔒 backwards compatibility
 export function getEditorialRect(container) {
-  const { width, height } = getLayoutConfig(container);
+  const { width } = getLayoutConfig(container);
+  const { height } = getLayoutHost(container).getBoundingClientRect();
   return { width, height };
 }
@@ -0,0 +1,198 @@
+// English strings and formats (the default bundle, see i18n.js)
+
+export default {
+  // d3.timeFormatLocale definition (en-US)
+  time: {
+    dateTime: "%x, %X",
+    date: "%-m/%-d/%Y",
+    time: "%-I:%M:%S %p",
+    periods: ["AM", "PM"],
+    days: [
+      "Sunday",
+      "Monday",
+      "Tuesday",
+      "Wednesday",
+      "Thursday",
+      "Friday",
+      "Saturday",
+    ],
+    shortDays: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+    months: [
+      "January",
+      "February",
+      "March",
+      "April",
+      "May",
+      "June",
+      "July",
+      "August",
+      "September",
+      "October",
+      "November",
+      "December",
+    ],
+    shortMonths: [
+      "Jan",
+      "Feb",
+      "Mar",
+      "Apr",
+      "May",
+      "Jun",
+      "Jul",
+      "Aug",
+      "Sep",
+      "Oct",
+      "Nov",
+      "Dec",
+    ],
+  },
+
+  // d3.formatLocale definition (en-US)
+  number: {
+    decimal: ".",
+    thousands: ",",
+    grouping: [3],
+    currency: ["$", ""],
+  },
+
+  formats: {
+    date: "%B %d, %Y",
+    month: "%B %Y",
+  },
+
+  // {name} placeholders are filled by t(key, { name })
+  strings: {
+    chart: {
+      title: "Chart",
+      loadError: "The data for this chart could not be loaded.",
+      empty: "There is no data to show yet.",
+      retry: "Retry",
+      showTable: "Show table",
+      showChart: "Show chart",
+    },
+    tooltip: {
+      close: "Close",
+    },
+    format: {
+      billions: "{currency}{value} billion",
+      percent: "{value}%",
+    },
+    columns: {
+      category: "Category",
+      component: "Component",
+      conflict: "Conflict",
+      country: "Country",
+      date: "Date",
+      month: "Month",
+      personnel: "Personnel",
+      president: "President",
+      product: "Product",
+      region: "Region",
+      resolution: "Resolution",
+      role: "Trump's role",
+      strikes: "Strikes",
+      tariffRate: "Tariff rate",
+      type: "Type",
+      value: "Value",
+      year: "Year",
+    },
+    dotmap: {
+      title: "US strikes worldwide, 2017–25",
+      description:
+        "Each dot is one US strike, stacked by date and coloured by " +
+        "president, then placed on a world map of 2025 strikes. Use the " +
+        "arrow keys to move through the strikes by date.",
+      timelineTitle: "Timeline of US strikes worldwide,\n2017–25",
+      mapTitle: "US strikes in 2025",
+      countAxis: {
+        day: "Strikes per day",
+        week: "Strikes per week",
+        month: "Strikes per month",
+        quarter: "Strikes per quarter",
+      },
+      binControl: "Stack strikes by",
+      playback: "Strikes over time",
+      play: "Play",
+      pause: "Pause",
+      playhead: "Date",
+      bins: {
+        day: "Day",
+        week: "Week",
+        month: "Month",
+        quarter: "Quarter",
+      },
+      legendItem: "{president}: {count} strikes ({rate} per month in office)",
+      strikes: "{count} strikes",
+      date: "Date:",
+      president: "President:",
+    },
+    peace: {
+      title: "The wars Trump claims to have solved",
+      description:
+        "World map of the conflicts Trump claims to have resolved, " +
+        "coloured by whether the claim holds. Use the arrow keys to move " +
+        "through the conflicts from west to east.",
+      resolved: "Peace deal/ceasefire reached in 2025",
+      unresolved: "No peace deal/ceasefire reached in 2025",
+      noConflict: "No open conflict in 2025",
+      minerals: "Minerals deal",
+      resolution: "Resolution:",
+      role: "Trump's role:",
+      mineralsComponent: "Minerals component:",
+    },
+    choropleth: {
+      title: "Countries targeted by Trump tariffs",
+      description:
+        "World map of the countries hit by tariffs under the International " +
+        "Emergency Economic Powers Act, by category or tariff rate. Use the " +
+        "arrow keys to move through the countries alphabetically.",
+      rateLegend: "Tariff rate (%)",
+      category: "Category:",
+      rate: "Rate:",
+    },
+    trade: {
+      title: "US-EU trade balance over time",
+      description:
+        "Stacked bars of monthly trade between the EU and the US by " +
+        "category. Use the arrow keys to move through the bars by month.",
+      explanation:
+        "Positive values indicate net EU exports to the US; negative " +
+        "values indicate net imports from the US to the EU.",
+    },
+    mapdot: {
+      title: "US trade deals under Trump 2.0",
+      description:
+        "Map of the countries that signed trade deals with the US, then a " +
+        "grid of deal provisions by country and type. Use the arrow keys to " +
+        "move through the provisions by country.",
+      source: "Source",
+    },
+    forces: {
+      title: "US personnel in Europe over time",
+      description:
+        "Stacked area chart of US military personnel stationed in Europe, " +
+        "by category.",
+    },
+    fmsRegion: {
+      title: "US foreign military sales",
+      description:
+        "Stacked bars of yearly US foreign military sales by region. Use the " +
+        "arrow keys to move through the bars by year.",
+    },
+    fmsCategory: {
+      title: "European FMS purchases in 2025",
+      description:
+        "Circles sized by the value of US foreign military sales to European " +
+        "countries in 2025, by country and equipment category. Use the arrow " +
+        "keys to move through the purchases by country.",
+    },
+  },
+
+  // Category values from the data, shown as is unless listed here
+  labels: {
+    tariffCategory: {
+      "Reciprocal and Limitations on 'free speech'":
+        "Reciprocal and limitations on 'free speech'",
+    },
+  },
+};
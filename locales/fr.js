@@ -0,0 +1,265 @@
+// French strings and formats (see i18n.js)
+
+export default {
+  // d3.timeFormatLocale definition (fr-FR)
+  time: {
+    dateTime: "%A %e %B %Y à %X",
+    date: "%d/%m/%Y",
+    time: "%H:%M:%S",
+    periods: ["AM", "PM"],
+    days: [
+      "dimanche",
+      "lundi",
+      "mardi",
+      "mercredi",
+      "jeudi",
+      "vendredi",
+      "samedi",
+    ],
+    shortDays: ["dim.", "lun.", "mar.", "mer.", "jeu.", "ven.", "sam."],
+    months: [
+      "janvier",
+      "février",
+      "mars",
+      "avril",
+      "mai",
+      "juin",
+      "juillet",
+      "août",
+      "septembre",
+      "octobre",
+      "novembre",
+      "décembre",
+    ],
+    shortMonths: [
+      "janv.",
+      "févr.",
+      "mars",
+      "avr.",
+      "mai",
+      "juin",
+      "juil.",
+      "août",
+      "sept.",
+      "oct.",
+      "nov.",
+      "déc.",
+    ],
+  },
+
+  // d3.formatLocale definition (fr-FR)
+  number: {
+    decimal: ",",
+    thousands: "\u00a0",
+    grouping: [3],
+    currency: ["", "\u00a0€"],
+    percent: "\u202f%",
+  },
+
+  formats: {
+    date: "%-d %B %Y",
+    month: "%B %Y",
+  },
+
+  strings: {
+    chart: {
+      title: "Graphique",
+      loadError: "Les données de ce graphique n'ont pas pu être chargées.",
+      empty: "Il n'y a pas encore de données à afficher.",
+      retry: "Réessayer",
+      showTable: "Afficher le tableau",
+      showChart: "Afficher le graphique",
+    },
+    tooltip: {
+      close: "Fermer",
+    },
+    format: {
+      billions: "{value}\u00a0milliards\u00a0{currency}",
+      percent: "{value}\u00a0%",
+    },
+    columns: {
+      category: "Catégorie",
+      component: "Composante",
+      conflict: "Conflit",
+      country: "Pays",
+      date: "Date",
+      month: "Mois",
+      personnel: "Effectifs",
+      president: "Président",
+      product: "Produit",
+      region: "Région",
+      resolution: "Résolution",
+      role: "Rôle de Trump",
+      strikes: "Frappes",
+      tariffRate: "Taux de droits de douane",
+      type: "Type",
+      value: "Valeur",
+      year: "Année",
+    },
+    dotmap: {
+      title: "Frappes américaines dans le monde, 2017–25",
+      description:
+        "Chaque point est une frappe américaine, empilée par date et " +
+        "colorée selon le président, puis placée sur une carte du monde des " +
+        "frappes de 2025. Utilisez les flèches pour parcourir les frappes " +
+        "par date.",
+      timelineTitle:
+        "Chronologie des frappes américaines\ndans le monde, 2017–25",
+      mapTitle: "Frappes américaines en 2025",
+      countAxis: {
+        day: "Frappes par jour",
+        week: "Frappes par semaine",
+        month: "Frappes par mois",
+        quarter: "Frappes par trimestre",
+      },
+      binControl: "Empiler les frappes par",
+      playback: "Frappes au fil du temps",
+      play: "Lecture",
+      pause: "Pause",
+      playhead: "Date",
+      bins: {
+        day: "Jour",
+        week: "Semaine",
+        month: "Mois",
+        quarter: "Trimestre",
+      },
+      legendItem:
+        "{president}\u00a0: {count} frappes ({rate} par mois de mandat)",
+      strikes: "{count} frappes",
+      date: "Date\u00a0:",
+      president: "Président\u00a0:",
+    },
+    peace: {
+      title: "Les guerres que Trump affirme avoir réglées",
+      description:
+        "Carte du monde des conflits que Trump affirme avoir résolus, " +
+        "colorés selon que l'affirmation se vérifie ou non. Utilisez les " +
+        "flèches pour parcourir les conflits d'ouest en est.",
+      resolved: "Accord de paix/cessez-le-feu conclu en 2025",
+      unresolved: "Aucun accord de paix/cessez-le-feu en 2025",
+      noConflict: "Pas de conflit ouvert en 2025",
+      minerals: "Accord sur les minerais",
+      resolution: "Résolution\u00a0:",
+      role: "Rôle de Trump\u00a0:",
+      mineralsComponent: "Volet minerais\u00a0:",
+    },
+    choropleth: {
+      title: "Pays visés par les droits de douane de Trump",
+      description:
+        "Carte du monde des pays frappés de droits de douane au titre de " +
+        "l'International Emergency Economic Powers Act, par catégorie ou " +
+        "par taux. Utilisez les flèches pour parcourir les pays par ordre " +
+        "alphabétique.",
+      rateLegend: "Taux de droits de douane (%)",
+      category: "Catégorie\u00a0:",
+      rate: "Taux\u00a0:",
+    },
+    trade: {
+      title: "Balance commerciale UE–États-Unis",
+      description:
+        "Barres empilées des échanges mensuels entre l'UE et les États-Unis " +
+        "par catégorie. Utilisez les flèches pour parcourir les barres par " +
+        "mois.",
+      explanation:
+        "Valeurs positives\u00a0: exportations nettes de l'UE vers les " +
+        "États-Unis\u00a0; valeurs négatives\u00a0: importations nettes " +
+        "depuis les États-Unis.",
+    },
+    mapdot: {
+      title: "Les accords commerciaux américains sous Trump 2.0",
+      description:
+        "Carte des pays ayant signé un accord commercial avec les " +
+        "États-Unis, puis grille des dispositions par pays et par type. " +
+        "Utilisez les flèches pour parcourir les dispositions par pays.",
+      source: "Source",
+    },
+    forces: {
+      title: "Effectifs américains en Europe",
+      description:
+        "Aires empilées des effectifs militaires américains stationnés en " +
+        "Europe, par catégorie.",
+    },
+    fmsRegion: {
+      title: "Ventes militaires américaines à l'étranger",
+      description:
+        "Barres empilées des ventes militaires américaines à l'étranger par " +
+        "année et par région. Utilisez les flèches pour parcourir les barres " +
+        "par année.",
+    },
+    fmsCategory: {
+      title: "Achats FMS européens en 2025",
+      description:
+        "Cercles proportionnels à la valeur des ventes militaires " +
+        "américaines aux pays européens en 2025, par pays et par catégorie " +
+        "d'équipement. Utilisez les flèches pour parcourir les achats par " +
+        "pays.",
+    },
+  },
+
+  labels: {
+    tariffCategory: {
+      Reciprocal: "Réciproque",
+      Exempt: "Exempté",
+      "Reciprocal and Limitations on 'free speech'":
+        "Réciproque et limites à la «\u00a0liberté d'expression\u00a0»",
+      "Fentanyl crisis": "Crise du fentanyl",
+    },
+    peaceResolution: {
+      Yes: "Oui",
+      No: "Non",
+    },
+    tradeCategory: {
+      "Chemicals and related products, n.e.s.":
+        "Produits chimiques et connexes, n.d.a.",
+      "Commodities and transactions not classified elsewhere in the SITC":
+        "Articles et transactions non classés ailleurs dans la CTCI",
+      "Food, drinks and tobacco": "Produits alimentaires, boissons et tabac",
+      "Machinery and transport equipment": "Machines et matériel de transport",
+      "Manufactured goods": "Articles manufacturés",
+      "Mineral fuels, lubricants and related materials":
+        "Combustibles minéraux, lubrifiants et produits connexes",
+      "Raw materials": "Matières premières",
+      "Net EU imports from the US":
+        "Importations nettes de l'UE depuis les États-Unis",
+    },
+    dealType: {
+      "Buy/invest American": "Acheter/investir américain",
+      "Economic security": "Sécurité économique",
+      "Tariff and market access": "Droits de douane et accès au marché",
+    },
+    forcesCategory: {
+      "APF DOD Civilian": "Civils du DoD (APF)",
+      "Military personnel": "Personnel militaire",
+      "National Guard/Reserve": "Garde nationale/Réserve",
+    },
+    region: {
+      Africa: "Afrique",
+      Americas: "Amériques",
+      "Central Asia": "Asie centrale",
+      "Indo-Pacific": "Indo-Pacifique",
+      MENA: "MOAN",
+    },
+    buyerGroup: {
+      "EU Member State": "État membre de l'UE",
+      "Other European country": "Autre pays européen",
+      "Non-European country": "Pays non européen",
+    },
+    equipment: {
+      "AV & Ground systems": "Blindés et systèmes terrestres",
+      "Air Defences": "Défense aérienne",
+      "Anti-armour": "Antichar",
+      "Bombs, Munitions & Projectiles": "Bombes, munitions et projectiles",
+      "C3 & Electronics": "C3 et électronique",
+      "Combat aircraft": "Avions de combat",
+      "Construction, Logistics & Services":
+        "Construction, logistique et services",
+      Helicopters: "Hélicoptères",
+      "Light weapons": "Armes légères",
+      "Naval systems": "Systèmes navals",
+      "Radars & sensors": "Radars et capteurs",
+      "Rockets/Artillery": "Roquettes/artillerie",
+      "Transport aircraft": "Avions de transport",
+      UAVs: "Drones",
+    },
+  },
+};
@@ -0,0 +1,67 @@
+// manifest.js - Every dataset the charts load
+//
+// Files are listed per chart (keyed like main.js) and resolved against the
+// base URL from config.js, so the whole page can run from a local copy (".")
+// or from a pinned copy of the data published with a given commentary.
+
+import { getBaseUrl } from "./config.js";
+
+// Shared by the maps; vendored from world-atlas@2
+const LAND = "land-110m.json";
+
+export const MANIFEST = {
+  dotmap: {
+    strikes: "strikes_week_stack.csv",
+    countryTotals: "strikes_country.geojson",
+    countryOutlines: "strikes_countries.geojson",
+    steps: "strikes_steps.json",
+    land: LAND,
+  },
+  peace: {
+    conflicts: "peace_sf.geojson",
+    countries: "peace_countries.geojson",
+    land: LAND,
+  },
+  choropleth: {
+    tariffs: "ieepa_sf.geojson",
+    land: LAND,
+  },
+  trade: {
+    volume: "trade_vol_long.csv",
+  },
+  mapdot: {
+    deals: "trade_sf.geojson",
+    sources: "trade.csv",
+    land: LAND,
+  },
+  "forces-area": {
+    forces: "forces_total.csv",
+  },
+  "fms-category": {
+    sales: "fms_cat_eu.csv",
+  },
+  "fms-region": {
+    sales: "fms_region_long.csv",
+  },
+};
+
+// Resolve a data file against the base URL (absolute, or relative to the page)
+export function resolveData(file, base = getBaseUrl()) {
+  const root = base.endsWith("/") ? base : `${base}/`;
+  return new URL(file, new URL(root, document.baseURI)).href;
+}
+
+// { role: url } for every dataset of a chart, honouring the mount's
+// data-base-url when given its container
+export function dataUrls(chart, container = null) {
+  const files = MANIFEST[chart];
+  if (!files) throw new Error(`No datasets listed for chart "${chart}"`);
+
+  const base = getBaseUrl(container);
+  return Object.fromEntries(
+    Object.entries(files).map(([role, file]) => [
+      role,
+      resolveData(file, base),
+    ]),
+  );
+}
@@ -0,0 +1,184 @@
+// scrolly.js - Scrollytelling controller
+//
+// Each visualization registers its step handlers once, keyed by the
+// `data-viz` value of its cards. `mountSteps()` then observes every
+// `.card[data-viz]` on the page, keeps the `.active` class in sync and
+// dispatches to the registered handlers:
+//
+//   enter(step, card)              card crosses the 50% visibility threshold
+//   leave(step, card, progress)    card has fully left the viewport
+//   progress(step, progress, card) on scroll, for every card of a section
+//                                  while the section is on screen
+//
+// Progress is derived from each card's position alone (0 below the scrub
+// band, 1 above it), so scrubbed transitions behave the same scrolling up or
+// down and land in the right state after a scrollbar drag or End/Home jump.
+//
+// Sections without registered handlers still get their `.active` card.
+// `syncSteps(viz)` replays the card currently in view, for charts that
+// finish loading after the reader has scrolled into their section.
+//
+// Most sections declare what a card shows on the card itself
+// (data-highlight, data-view, data-date, ...), so editors can add or reorder
+// cards without touching the charts.
+
+const registry = new Map();
+
+// Cards of each section, in page order (filled by mountSteps)
+const sections = new Map();
+
+export function registerSteps(viz, handlers) {
+  registry.set(viz, handlers);
+}
+
+// Calculate scroll progress for a card (0 = entering viewport, 1 = leaving viewport)
+export function calculateScrollProgress(card) {
+  const rect = card.getBoundingClientRect();
+  const viewportHeight = window.innerHeight;
+
+  // Start when card is 80vh from top, complete when it reaches 20vh from top
+  const startY = viewportHeight * 0.8;
+  const endY = viewportHeight * 0.2;
+
+  const progress = (startY - rect.top) / (startY - endY);
+
+  // Clamp between 0 and 1
+  return Math.max(0, Math.min(1, progress));
+}
+
+// Card attributes holding several values separate them with ";"
+export function parseList(value) {
+  if (!value) return [];
+  return value
+    .split(";")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// "2023-2025" → [2023, 2024, 2025], "2017; 2020" → [2017, 2020]
+export function parseYears(value) {
+  return parseList(value).flatMap((item) => {
+    const [start, end = start] = item.split("-").map(Number);
+    return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+  });
+}
+
+function getStep(card) {
+  return parseInt(card.dataset.step);
+}
+
+function activate(viz, card) {
+  sections.get(viz).forEach((c) => c.classList.remove("active"));
+  card.classList.add("active");
+
+  console.log(`${viz} active step:`, getStep(card));
+
+  registry.get(viz)?.enter?.(getStep(card), card);
+}
+
+// Bring a section's chart in line with the page: enter the active card (or
+// the last card scrolled past) and update every card's scroll progress
+export function syncSteps(viz) {
+  const cards = sections.get(viz);
+  if (!cards) return;
+
+  const card =
+    cards.find((c) => c.classList.contains("active")) ||
+    cards
+      .filter((c) => c.getBoundingClientRect().top < window.innerHeight / 2)
+      .pop();
+  if (card) activate(viz, card);
+
+  const handlers = registry.get(viz);
+  cards.forEach((c) =>
+    handlers?.progress?.(getStep(c), calculateScrollProgress(c), c),
+  );
+}
+
+export function mountSteps(root = document) {
+  root.querySelectorAll(".card[data-viz]").forEach((card) => {
+    const viz = card.dataset.viz;
+    if (!sections.has(viz)) sections.set(viz, []);
+    sections.get(viz).push(card);
+  });
+
+  // Cards currently on screen, and sections that just lost one
+  const visibleCards = new Set();
+  const leftSections = new Set();
+  let rafId = null;
+
+  const updateProgress = () => {
+    rafId = null;
+    sections.forEach((cards, viz) => {
+      const handlers = registry.get(viz);
+      if (!handlers?.progress) return;
+
+      // Sections off screen keep their state, after one last update
+      const onScreen = cards.some((card) => visibleCards.has(card));
+      if (!onScreen && !leftSections.has(viz)) return;
+
+      cards.forEach((card) =>
+        handlers.progress(getStep(card), calculateScrollProgress(card), card),
+      );
+    });
+    leftSections.clear();
+  };
+
+  const requestProgress = () => {
+    if (rafId === null) rafId = requestAnimationFrame(updateProgress);
+  };
+
+  const enterObserver = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        // Only act when card enters viewport and crosses threshold
+        if (!entry.isIntersecting) return;
+
+        activate(entry.target.dataset.viz, entry.target);
+        requestProgress();
+      });
+    },
+    {
+      threshold: 0.5,
+      rootMargin: "0px",
+    },
+  );
+
+  const leaveObserver = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        const card = entry.target;
+
+        if (entry.isIntersecting) {
+          visibleCards.add(card);
+          requestProgress();
+          return;
+        }
+
+        // Ignore the initial "not intersecting" report for off-screen cards
+        if (!visibleCards.delete(card)) return;
+
+        const viz = card.dataset.viz;
+        registry
+          .get(viz)
+          ?.leave?.(getStep(card), card, calculateScrollProgress(card));
+
+        leftSections.add(viz);
+        requestProgress();
+      });
+    },
+    {
+      threshold: 0,
+      rootMargin: "0px",
+    },
+  );
+
+  sections.forEach((cards) =>
+    cards.forEach((card) => {
+      enterObserver.observe(card);
+      leaveObserver.observe(card);
+    }),
+  );
+
+  window.addEventListener("scroll", requestProgress, { passive: true });
+}
@@ -0,0 +1,72 @@
+import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7.8.5/+esm";
+
+// strikes.js - Strike events binned and stacked for the timeline
+//
+// Reads the raw event list (id, date, president, country, lon/lat) as well
+// as the R pipeline's export (event_date, President and the location as an
+// R vector string "c(lon, lat)" in geometry). Precomputed week and stack
+// columns are ignored: stackStrikes() bins the events itself.
+
+// UTC intervals, so the bins don't shift with the reader's time zone
+export const BIN_SIZES = {
+  day: d3.utcDay,
+  week: d3.utcWeek,
+  month: d3.utcMonth,
+  quarter: d3.utcMonth.every(3),
+};
+
+export const DEFAULT_BIN = "week";
+
+// [lon, lat] from "c(45.801, 14.0851)" or "45.801, 14.0851" (null for NA)
+export function parseCoordinates(value) {
+  if (!value) return null;
+  const match = String(value)
+    .trim()
+    .match(/^(?:c\()?\s*([^,\s]+)\s*,\s*([^,\s)]+)\s*\)?$/);
+  if (!match) return null;
+
+  const coordinates = [+match[1], +match[2]];
+  return coordinates.every(Number.isFinite) ? coordinates : null;
+}
+
+// d3.csv row function for either column layout
+export function parseStrike(row) {
+  const date = new Date(row.event_date ?? row.date);
+  const lon = row.longitude ?? row.lon;
+  const lat = row.latitude ?? row.lat;
+
+  return {
+    id: +row.id,
+    event_date: date,
+    year: date.getUTCFullYear(),
+    President: row.President ?? row.president,
+    country: row.country,
+    coordinates:
+      parseCoordinates(row.geometry) ??
+      (lon && lat ? parseCoordinates(`${lon}, ${lat}`) : null),
+  };
+}
+
+// A known bin size, or the default
+export function binSize(value) {
+  return Object.hasOwn(BIN_SIZES, value ?? "") ? value : DEFAULT_BIN;
+}
+
+// Set d.bin (start of the strike's bin) and d.stack (1 at the bottom, in id
+// order as in the R pipeline) on every strike; returns the highest stack
+export function stackStrikes(strikes, size = DEFAULT_BIN) {
+  const interval = BIN_SIZES[binSize(size)];
+
+  d3.group(strikes, (d) => +interval.floor(d.event_date)).forEach(
+    (group, bin) => {
+      group
+        .sort((a, b) => a.id - b.id || a.event_date - b.event_date)
+        .forEach((d, i) => {
+          d.bin = new Date(bin);
+          d.stack = i + 1;
+        });
+    },
+  );
+
+  return d3.max(strikes, (d) => d.stack) ?? 0;
+}
@@ -0,0 +1,102 @@
+// template.js - Safe HTML for data-driven content
+//
+// Values interpolated into html`` are escaped. Free text edited by the
+// researchers (notes, roles, ...) goes through rich(), which keeps an
+// allow-list of inline formatting: <b>/<strong>, <i>/<em>, <br> and links.
+// Links, from rich text or link(), are only rendered for absolute http(s)
+// URLs; anything else is shown as plain text.
+
+const ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+export function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, (c) => ENTITIES[c]);
+}
+
+// Markup produced by html``, inserted as is when nested in another template
+class SafeHTML {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// Markup for any value: html`` results as is, everything else escaped
+export function render(value) {
+  if (value == null || value === false) return "";
+  if (value instanceof SafeHTML) return value.value;
+  if (Array.isArray(value)) return value.map(render).join("");
+  return escapeHTML(value);
+}
+
+// html`<strong>${name}</strong>`: the markup is kept, the values escaped
+export function html(strings, ...values) {
+  return new SafeHTML(
+    strings.reduce((out, string, i) => out + render(values[i - 1]) + string),
+  );
+}
+
+// The URL if it is an absolute http(s) link, otherwise null
+export function safeUrl(url) {
+  try {
+    const { protocol, href } = new URL(String(url).trim());
+    return protocol === "https:" || protocol === "http:" ? href : null;
+  } catch {
+    return null;
+  }
+}
+
+// A link opening in a new tab, or just the content for an invalid URL
+export function link(url, content = url) {
+  const href = safeUrl(url);
+  if (!href) return html`${content}`;
+  return html`<a href="${href}" target="_blank" rel="noopener noreferrer">${content}</a>`;
+}
+
+const INLINE_TAGS = {
+  B: "strong",
+  STRONG: "strong",
+  I: "em",
+  EM: "em",
+};
+
+// Elements dropped with their content
+const DROPPED_TAGS = new Set(["SCRIPT", "STYLE", "TEMPLATE", "IFRAME"]);
+
+// Researcher-edited text with its allowed inline formatting
+export function rich(value) {
+  if (value == null) return html``;
+
+  // Parsed in an inert <template>, so nothing in it loads or runs
+  const template = document.createElement("template");
+  template.innerHTML = String(value);
+  return new SafeHTML(sanitize(template.content));
+}
+
+function sanitize(parent) {
+  return [...parent.childNodes]
+    .map((node) => {
+      if (node.nodeType === Node.TEXT_NODE) return escapeHTML(node.data);
+      if (node.nodeType !== Node.ELEMENT_NODE) return "";
+      if (DROPPED_TAGS.has(node.tagName)) return "";
+      if (node.tagName === "BR") return "<br/>";
+
+      const content = new SafeHTML(sanitize(node));
+      if (node.tagName === "A") {
+        return render(link(node.getAttribute("href"), content));
+      }
+
+      // Other elements keep their text but lose their markup
+      const tag = INLINE_TAGS[node.tagName];
+      return tag ? `<${tag}>${content}</${tag}>` : content.value;
+    })
+    .join("");
+}